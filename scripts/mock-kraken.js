@@ -0,0 +1,323 @@
+#!/usr/bin/env node
+// Local stand-in for Kraken WebSocket v2, speaking the `book`, `trade` and `instrument`
+// channel protocols: subscribe/unsubscribe acks, snapshots and incremental updates with
+// valid CRC32 checksums at each pair's precision, trades against the book, pair
+// precisions, heartbeats and ping/pong. Trades are only generated for symbols with a
+// book subscription.
+// The same port serves REST GET /0/public/AssetPairs for the pairs in MOCK_PAIRS.
+//
+//   npm run mock -- [--port 8787] [--rate 20] [--scenario sweep --every 30]
+//
+// Point the app at it with VITE_KRAKEN_WS_URL=ws://localhost:8787 and
+// VITE_KRAKEN_REST_URL=http://localhost:8787 in .env.local.
+// Scenarios can also be typed on stdin while it runs:
+//
+//   sweep [symbol] [bids|asks]   take out the top levels on one side
+//   spoof [symbol] [bids|asks]   flash a large wall near the touch, then pull it
+//   break [symbol]               send one update with a wrong checksum
+//   precision [symbol] [price]   change a pair's price decimals; new books use them
+//   disconnect                   drop every client socket
+
+import { createServer } from 'node:http'
+import { createInterface } from 'node:readline'
+import { WebSocketServer } from 'ws'
+import { SYMBOL_PRECISION } from '../src/config.js'
+import { createSyntheticBook, BASE_PRICES } from '../src/sources/syntheticBook.js'
+
+const SWEEP_LEVELS = 8
+const SWEEP_INTERVAL = 80
+const SPOOF_FACTOR = 40
+const SPOOF_DURATION = 5000
+// Chance of a trade alongside each book step
+const TRADE_CHANCE = 0.15
+
+// Extra pairs beyond the app defaults, to exercise discovery. REST names use
+// Kraken's legacy codes (XBT, XDG); the WebSocket uses the v2 symbol.
+const EXTRA_PAIRS = [
+  { key: 'XDGUSD', wsname: 'XDG/USD', symbol: 'DOGE/USD', precision: [7, 8], basePrice: 0.15 },
+  { key: 'XLTCZUSD', wsname: 'LTC/USD', symbol: 'LTC/USD', precision: [2, 8], basePrice: 80 },
+  { key: 'DOTUSD', wsname: 'DOT/USD', symbol: 'DOT/USD', precision: [4, 8], basePrice: 6 },
+  { key: 'XXBTZEUR', wsname: 'XBT/EUR', symbol: 'BTC/EUR', precision: [1, 8], basePrice: 55000 },
+]
+
+// symbol -> pair
+const MOCK_PAIRS = Object.fromEntries([
+  ...Object.entries(SYMBOL_PRECISION).map(([symbol, precision]) => {
+    const wsname = symbol.replace(/^BTC\//, 'XBT/')
+    return [symbol, { key: wsname.replace('/', ''), wsname, symbol, precision, basePrice: BASE_PRICES[symbol] || 100 }]
+  }),
+  ...EXTRA_PAIRS.map(pair => [pair.symbol, pair]),
+])
+
+function parseArgs(argv) {
+  const args = { port: 8787, rate: 20, scenario: null, every: 30 }
+  for (let i = 0; i < argv.length; i += 2) {
+    const key = argv[i].replace(/^--/, '')
+    if (!(key in args)) throw new Error(`Unknown option --${key}`)
+    args[key] = key === 'scenario' ? argv[i + 1] : Number(argv[i + 1])
+  }
+  return args
+}
+
+const args = parseArgs(process.argv.slice(2))
+const clients = new Set()
+let connectionId = 0
+
+const now = () => new Date().toISOString()
+
+function send(client, message) {
+  if (client.socket.readyState === client.socket.OPEN) client.socket.send(JSON.stringify(message))
+}
+
+function ack(client, method, params, symbol, error) {
+  const message = {
+    method,
+    result: {
+      channel: params.channel,
+      ...(params.channel === 'book' && { depth: params.depth }),
+      symbol,
+      ...(method === 'subscribe' && !error && params.channel === 'book' && { snapshot: true }),
+    },
+    success: !error,
+    time_in: now(),
+    time_out: now(),
+  }
+  if (error) message.error = error
+  if (params.req_id !== undefined) message.req_id = params.req_id
+  send(client, message)
+}
+
+function subscribe(client, params) {
+  const symbols = [].concat(params.symbol || [])
+  const depth = params.depth || 10
+  symbols.forEach(symbol => {
+    if (!MOCK_PAIRS[symbol]) {
+      ack(client, 'subscribe', params, symbol, `Currency pair not supported ${symbol}`)
+      return
+    }
+    if (client.books[symbol]) {
+      ack(client, 'subscribe', params, symbol, 'Already subscribed')
+      return
+    }
+    const book = createSyntheticBook(symbol, {
+      depth,
+      precision: MOCK_PAIRS[symbol].precision,
+      basePrice: MOCK_PAIRS[symbol].basePrice,
+    })
+    client.books[symbol] = book
+    ack(client, 'subscribe', params, symbol)
+    send(client, book.snapshot())
+  })
+}
+
+function unsubscribe(client, params) {
+  [].concat(params.symbol || []).forEach(symbol => {
+    if (!client.books[symbol]) {
+      ack(client, 'unsubscribe', params, symbol, 'Subscription Not Found')
+      return
+    }
+    delete client.books[symbol]
+    ack(client, 'unsubscribe', params, symbol)
+  })
+}
+
+// Trade subscriptions only toggle the stream; there is no trade history to send as a snapshot
+function subscribeTrades(client, method, params) {
+  [].concat(params.symbol || []).forEach(symbol => {
+    if (!MOCK_PAIRS[symbol]) {
+      ack(client, method, params, symbol, `Currency pair not supported ${symbol}`)
+    } else if (method === 'subscribe' && client.trades.has(symbol)) {
+      ack(client, method, params, symbol, 'Already subscribed')
+    } else if (method === 'unsubscribe' && !client.trades.has(symbol)) {
+      ack(client, method, params, symbol, 'Subscription Not Found')
+    } else {
+      if (method === 'subscribe') client.trades.add(symbol)
+      else client.trades.delete(symbol)
+      ack(client, method, params, symbol)
+    }
+  })
+}
+
+function instrumentPairs(pairs) {
+  return {
+    assets: [],
+    pairs: pairs.map(({ symbol, precision }) => {
+      const [base, quote] = symbol.split('/')
+      return { symbol, base, quote, status: 'online', price_precision: precision[0], qty_precision: precision[1] }
+    }),
+  }
+}
+
+// The instrument channel covers every pair; the snapshot follows the ack
+function subscribeInstruments(client, method, params) {
+  client.instruments = method === 'subscribe'
+  const message = {
+    method,
+    result: { channel: 'instrument', ...(method === 'subscribe' && { snapshot: true }) },
+    success: true,
+    time_in: now(),
+    time_out: now(),
+  }
+  if (params.req_id !== undefined) message.req_id = params.req_id
+  send(client, message)
+  if (client.instruments) {
+    send(client, { channel: 'instrument', type: 'snapshot', data: instrumentPairs(Object.values(MOCK_PAIRS)) })
+  }
+}
+
+function handleRequest(client, raw) {
+  let request
+  try {
+    request = JSON.parse(raw)
+  } catch (e) {
+    send(client, { error: 'Malformed request', success: false, time_in: now(), time_out: now() })
+    return
+  }
+  const { method, params = {} } = request
+  if (method === 'ping') {
+    send(client, { method: 'pong', req_id: request.req_id, time_in: now(), time_out: now() })
+  } else if (params.channel === 'trade' && (method === 'subscribe' || method === 'unsubscribe')) {
+    subscribeTrades(client, method, params)
+  } else if (params.channel === 'instrument' && (method === 'subscribe' || method === 'unsubscribe')) {
+    subscribeInstruments(client, method, params)
+  } else if (params.channel !== 'book') {
+    send(client, { method, error: `Channel ${params.channel} not supported by the mock`, success: false, time_in: now(), time_out: now() })
+  } else if (method === 'subscribe') {
+    subscribe(client, params)
+  } else if (method === 'unsubscribe') {
+    unsubscribe(client, params)
+  }
+}
+
+// Run fn against every client's book for symbol (or their first book)
+function eachBook(symbol, fn) {
+  clients.forEach(client => {
+    const book = client.books[symbol || Object.keys(client.books)[0]]
+    if (book) fn(client, book)
+  })
+}
+
+const scenarios = {
+  // A run of updates that each remove the best level on one side
+  sweep(symbol, side = 'asks') {
+    eachBook(symbol, (client, book) => {
+      for (let i = 0; i < SWEEP_LEVELS; i++) {
+        setTimeout(() => {
+          if (client.books[book.symbol] !== book) return
+          send(client, book.update({ [side]: [[book.best(side), 0], [book.deeper(side), book.randomQty()]] }))
+        }, i * SWEEP_INTERVAL)
+      }
+    })
+  },
+
+  // A large resting order two levels off the touch that disappears again
+  spoof(symbol, side = 'bids') {
+    eachBook(symbol, (client, book) => {
+      const ticks = side === 'bids' ? book.best('bids') - 2 : book.best('asks') + 2
+      send(client, book.update({ [side]: [[ticks, book.randomQty(SPOOF_FACTOR)]] }))
+      setTimeout(() => {
+        if (client.books[book.symbol] !== book) return
+        send(client, book.update({ [side]: [[ticks, 0]] }))
+      }, SPOOF_DURATION)
+    })
+  },
+
+  // The book itself stays right; only the checksum sent is off by one
+  break(symbol) {
+    eachBook(symbol, (client, book) => {
+      send(client, book.update({}, { checksumOffset: 1 }))
+    })
+  },
+
+  // Books already streaming keep their old precision, as they would until resubscribed
+  precision(symbol = Object.keys(MOCK_PAIRS)[0], price) {
+    const pair = MOCK_PAIRS[symbol]
+    if (!pair) return
+    pair.precision = [price === undefined ? pair.precision[0] + 1 : Number(price), pair.precision[1]]
+    clients.forEach(client => {
+      if (client.instruments) send(client, { channel: 'instrument', type: 'update', data: instrumentPairs([pair]) })
+    })
+  },
+
+  disconnect() {
+    clients.forEach(client => client.socket.terminate())
+  },
+}
+
+function runScenario(name, ...rest) {
+  const scenario = scenarios[name]
+  if (!scenario) {
+    console.log(`Unknown scenario "${name}". Try: ${Object.keys(scenarios).join(', ')}`)
+    return
+  }
+  console.log(`[mock] ${name} ${rest.join(' ')}`.trim())
+  scenario(...rest)
+}
+
+// Just enough of the REST API for pair discovery
+function handleHttp(req, res) {
+  res.setHeader('Access-Control-Allow-Origin', '*')
+  res.setHeader('Content-Type', 'application/json')
+  if (req.method === 'GET' && req.url.split('?')[0] === '/0/public/AssetPairs') {
+    const result = Object.fromEntries(Object.values(MOCK_PAIRS).map(({ key, wsname, symbol, precision }) => {
+      const [base, quote] = wsname.split('/')
+      return [key, { altname: key, wsname, base, quote, pair_decimals: precision[0], lot_decimals: precision[1], status: 'online' }]
+    }))
+    res.end(JSON.stringify({ error: [], result }))
+    return
+  }
+  res.statusCode = 404
+  res.end(JSON.stringify({ error: ['EGeneral:Unknown method'] }))
+}
+
+const httpServer = createServer(handleHttp)
+const server = new WebSocketServer({ server: httpServer })
+httpServer.listen(args.port)
+
+server.on('connection', (socket) => {
+  const client = { socket, books: {}, trades: new Set(), instruments: false }
+  clients.add(client)
+  console.log(`[mock] client connected (${clients.size} open)`)
+
+  send(client, {
+    channel: 'status',
+    type: 'update',
+    data: [{ api_version: 'v2', connection_id: ++connectionId, system: 'online', version: '2.0.0' }],
+  })
+
+  socket.on('message', (raw) => handleRequest(client, raw.toString()))
+  socket.on('close', () => {
+    clients.delete(client)
+    console.log(`[mock] client disconnected (${clients.size} open)`)
+  })
+})
+
+setInterval(() => {
+  clients.forEach(client => {
+    Object.values(client.books).forEach(book => {
+      send(client, book.step())
+      if (client.trades.has(book.symbol) && Math.random() < TRADE_CHANCE) {
+        const { trade, update } = book.trade()
+        send(client, trade)
+        send(client, update)
+      }
+    })
+  })
+}, 1000 / args.rate)
+
+setInterval(() => {
+  clients.forEach(client => {
+    if (Object.keys(client.books).length > 0) send(client, { channel: 'heartbeat' })
+  })
+}, 1000)
+
+if (args.scenario) {
+  setInterval(() => runScenario(args.scenario), args.every * 1000)
+}
+
+createInterface({ input: process.stdin }).on('line', (line) => {
+  const [name, ...rest] = line.trim().split(/\s+/)
+  if (name) runScenario(name, ...rest)
+})
+
+console.log(`[mock] Kraken v2 mock listening on ws://localhost:${args.port} (REST on http://localhost:${args.port})`)
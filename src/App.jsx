@@ -1,176 +1,533 @@
 import { useState, useEffect, useRef, useCallback } from 'react'
-import initWasm, { WasmOrderbook } from '../wasm/kraken_wasm.js'
-
-const SYMBOLS = ['BTC/USD', 'ETH/USD', 'SOL/USD', 'XRP/USD', 'ADA/USD']
-const DEPTH = 25
-
-// Precision settings for checksum calculation
-const SYMBOL_PRECISION = {
-  'BTC/USD': [1, 8],
-  'ETH/USD': [2, 8],
-  'SOL/USD': [2, 8],
-  'XRP/USD': [5, 8],
-  'ADA/USD': [6, 8],
+import { DEPTH, DEPTHS } from './config'
+import { startRecording } from './sessionStore'
+import { SOURCES } from './sources'
+import { modelConfig, describeModel } from './imbalance'
+import { HISTORY_WINDOWS, bucketSizesFor } from './timeSeries'
+import { HEATMAP_COLUMNS } from './heatmap'
+import { ALERT_KINDS } from './alerts'
+import { notify } from './notifications'
+import { pressureConfig, tierLabel, targetTier } from './pressure'
+import { STATS_WINDOWS, Z_RANGE } from './rollingStats'
+import { discoverPairs, pairPrecision, loadWatchlist, saveWatchlist } from './symbols'
+import HistoryScrubber from './components/HistoryScrubber'
+import SessionPanel from './components/SessionPanel'
+import ReplayControls from './components/ReplayControls'
+import ImbalanceModelPicker from './components/ImbalanceModelPicker'
+import OfiPanel from './components/OfiPanel'
+import TradeTape from './components/TradeTape'
+import DepthChart from './components/DepthChart'
+import LiquidityHeatmap from './components/LiquidityHeatmap'
+import AlertPanel from './components/AlertPanel'
+import PressureTiersEditor from './components/PressureTiersEditor'
+import RollingStatsPanel from './components/RollingStatsPanel'
+import SignalQualityPanel from './components/SignalQualityPanel'
+import CvdChart from './components/CvdChart'
+import SymbolCard from './components/SymbolCard'
+import SymbolPicker from './components/SymbolPicker'
+import TimeAxis from './components/TimeAxis'
+
+const SYNC_COLORS = {
+  synced: '#00FF88',
+  resyncing: '#FFD700',
+  failed: '#FF4444',
+}
+
+const REFRESH_RATES = [5, 10, 20, 30, 60]
+
+const MODEL_STORAGE_KEY = 'havflow.imbalanceModel'
+const DEPTH_STORAGE_KEY = 'havflow.depth'
+const ALERTS_STORAGE_KEY = 'havflow.alertRules'
+const PRESSURE_STORAGE_KEY = 'havflow.pressure'
+// Fired alerts kept in the log
+const ALERT_LOG_LENGTH = 100
+
+function loadModel() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(MODEL_STORAGE_KEY))
+    return modelConfig(saved?.kind, saved || {})
+  } catch (e) {
+    return modelConfig('flat')
+  }
+}
+
+function loadAlertRules() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(ALERTS_STORAGE_KEY))
+    if (Array.isArray(saved)) return saved.filter(rule => ALERT_KINDS[rule?.kind])
+  } catch (e) {}
+  return []
+}
+
+function loadPressure() {
+  try {
+    return pressureConfig(JSON.parse(localStorage.getItem(PRESSURE_STORAGE_KEY)) || undefined)
+  } catch (e) {
+    return pressureConfig()
+  }
+}
+
+// Colour of a pressure tier: green or red, stronger with the tier
+function tierColor(tier, tierCount) {
+  if (!tier) return '#666'
+  const alpha = Math.round((0.4 + 0.6 * (Math.abs(tier) / tierCount)) * 255).toString(16).padStart(2, '0')
+  return `${tier > 0 ? '#00FF88' : '#FF4444'}${alpha}`
+}
+
+function loadDepth() {
+  const saved = Number(localStorage.getItem(DEPTH_STORAGE_KEY))
+  return DEPTHS.includes(saved) ? saved : DEPTH
+}
+
+const EMPTY_VIEW = {
+  bids: [],
+  asks: [],
+  stats: { bidVolume: 0, askVolume: 0, spread: 0, midPrice: 0 },
+  imbalance: 0,
+  series: [],
+  history: null,
+  ofi: null,
+  pressure: { tier: 0, events: [] },
+  rolling: null,
+  tape: [],
+  cvd: 0,
+  heatmap: [],
 }
 
 export default function App() {
   const [status, setStatus] = useState('Initializing...')
+  const [retry, setRetry] = useState({ attempt: 0, nextRetryAt: null })
+  const [now, setNow] = useState(Date.now())
   const [sdkReady, setSdkReady] = useState(false)
-  const [selectedSymbol, setSelectedSymbol] = useState('BTC/USD')
-  const [imbalance, setImbalance] = useState(0)
-  const [imbalanceHistory, setImbalanceHistory] = useState([])
-  const [bids, setBids] = useState([])
-  const [asks, setAsks] = useState([])
-  const [stats, setStats] = useState({ bidVolume: 0, askVolume: 0, spread: 0, midPrice: 0 })
-
-  const booksRef = useRef({})
-  const wsRef = useRef(null)
-  const messageQueueRef = useRef([])
-  const processingRef = useRef(false)
+  // Pairs the app subscribes to, persisted across sessions
+  const [watchlist, setWatchlist] = useState(loadWatchlist)
+  const [selectedSymbol, setSelectedSymbol] = useState(() => watchlist[0])
+  // Every tradeable pair from the REST API, for the picker
+  const [pairs, setPairs] = useState(null)
+  const [pairsError, setPairsError] = useState(null)
+  // Everything drawn for the selected symbol, committed at most once per animation frame
+  const [view, setView] = useState(EMPTY_VIEW)
+  const [maxFps, setMaxFps] = useState(30)
+  const [perf, setPerf] = useState({ fps: 0, mps: 0 })
+  // Retained book state being shown instead of the live one, or null when live
+  const [travel, setTravel] = useState(null)
+  const [recording, setRecording] = useState(false)
+  const [recordedCount, setRecordedCount] = useState(0)
+  // Where the feed comes from: { kind: 'kraken' | 'synthetic' } or { kind: 'replay', session }
+  const [source, setSource] = useState({ kind: 'kraken' })
+  const [replayState, setReplayState] = useState(null)
+  const [syncStates, setSyncStates] = useState({})
+  const [drops, setDrops] = useState({})
+  // symbol -> { from, to } for pairs whose instrument precision changed mid-session
+  const [precisionChanges, setPrecisionChanges] = useState({})
+  // Grid of every symbol instead of the selected symbol's detail
+  const [overviewMode, setOverviewMode] = useState(false)
+  const [overview, setOverview] = useState({})
+  const [imbalanceModel, setImbalanceModel] = useState(loadModel)
+  // Levels per book and per subscription
+  const [depth, setDepth] = useState(loadDepth)
+  // Depth of the session being replayed, which the books follow instead of the chosen one
+  const [replayDepth, setReplayDepth] = useState(null)
+  const [alertRules, setAlertRules] = useState(loadAlertRules)
+  // Fired alerts, newest first
+  const [alertLog, setAlertLog] = useState([])
+  const [pressureSettings, setPressureSettings] = useState(loadPressure)
+  const [showTierEvents, setShowTierEvents] = useState(true)
+  const [statsWindow, setStatsWindow] = useState(STATS_WINDOWS[0].ms)
+  // 'raw' imbalance or 'z' score against the rolling window
+  const [gaugeMode, setGaugeMode] = useState('raw')
+  // Signal evaluation of the selected symbol, posted by the worker about once a second
+  const [signals, setSignals] = useState(null)
+  // History chart window and resolution, and which bucket value the bars show
+  const [seriesView, setSeriesView] = useState({ window: 60000, bucket: 1000 })
+  const [seriesStat, setSeriesStat] = useState('last')
+
+  const workerRef = useRef(null)
+  const sourceRef = useRef(null)
   const selectedSymbolRef = useRef(selectedSymbol)
+  // Latest worker frame waiting to be committed
+  const pendingFrameRef = useRef(null)
+  // Latest trade tape waiting to be committed alongside it
+  const pendingTapeRef = useRef(null)
+  // Heatmap columns received since the last commit
+  const pendingHeatmapRef = useRef(null)
+  const countersRef = useRef({ renders: 0, messages: 0 })
+  // Sequence of the last snapshot asked for, so late replies after going live are ignored
+  const travelRequestRef = useRef(null)
+  const recorderRef = useRef(null)
+  const imbalanceModelRef = useRef(imbalanceModel)
+  const seriesViewRef = useRef(seriesView)
+  const watchlistRef = useRef(watchlist)
+  const depthRef = useRef(depth)
+  const alertRulesRef = useRef(alertRules)
+  const pressureSettingsRef = useRef(pressureSettings)
+  const statsWindowRef = useRef(statsWindow)
 
-  // Keep ref in sync with state
+  // Keep ref in sync with state, and tell the worker which symbol to report
   useEffect(() => {
     selectedSymbolRef.current = selectedSymbol
+    workerRef.current?.postMessage({ type: 'select', symbol: selectedSymbol })
   }, [selectedSymbol])
 
-  // Process messages sequentially to avoid WASM borrow conflicts
-  const processNextMessage = useCallback(() => {
-    if (processingRef.current) return
-    if (messageQueueRef.current.length === 0) return
+  // Switch the worker to the chosen model; it restarts the history under the new one
+  useEffect(() => {
+    imbalanceModelRef.current = imbalanceModel
+    localStorage.setItem(MODEL_STORAGE_KEY, JSON.stringify(imbalanceModel))
+    const worker = workerRef.current
+    if (!worker) return
+    worker.postMessage({ type: 'model', model: imbalanceModel })
+    if (travelRequestRef.current !== null) {
+      worker.postMessage({ type: 'snapshot', symbol: selectedSymbolRef.current, sequence: travelRequestRef.current })
+    }
+  }, [imbalanceModel])
 
-    processingRef.current = true
-    const { symbol, data } = messageQueueRef.current.shift()
+  // The worker checks the rules against every symbol
+  useEffect(() => {
+    alertRulesRef.current = alertRules
+    localStorage.setItem(ALERTS_STORAGE_KEY, JSON.stringify(alertRules))
+    workerRef.current?.postMessage({ type: 'alerts', rules: alertRules })
+  }, [alertRules])
 
-    try {
-      const book = booksRef.current[symbol]
-      if (!book) {
-        processingRef.current = false
-        if (messageQueueRef.current.length > 0) setTimeout(processNextMessage, 0)
-        return
-      }
+  // The worker reclassifies every symbol under the new tiers
+  useEffect(() => {
+    pressureSettingsRef.current = pressureSettings
+    localStorage.setItem(PRESSURE_STORAGE_KEY, JSON.stringify(pressureSettings))
+    workerRef.current?.postMessage({ type: 'pressure', config: pressureSettings })
+  }, [pressureSettings])
 
-      const result = book.apply_and_get(data, DEPTH)
-
-      // Only update UI if this is the currently selected symbol
-      if (result && (result.msg_type === 'update' || result.msg_type === 'snapshot')) {
-        if (symbol === selectedSymbolRef.current) {
-          const topBids = result.bids || []
-          const topAsks = result.asks || []
-
-          setBids(topBids)
-          setAsks(topAsks)
-
-          // Calculate volumes (SDK returns {price, qty} objects)
-          const bidVolume = topBids.reduce((sum, b) => sum + (b.qty || b[1] || 0), 0)
-          const askVolume = topAsks.reduce((sum, a) => sum + (a.qty || a[1] || 0), 0)
-
-          setStats({
-            bidVolume,
-            askVolume,
-            spread: result.spread || 0,
-            midPrice: result.mid_price || 0
-          })
-
-          // Calculate imbalance: (bid - ask) / (bid + ask)
-          const total = bidVolume + askVolume
-          if (total > 0) {
-            const imb = (bidVolume - askVolume) / total
-            setImbalance(imb)
-            setImbalanceHistory(prev => [...prev.slice(-59), imb])
-          }
-        }
-      }
-    } catch (e) {
-      // Silently ignore errors
-    } finally {
-      processingRef.current = false
-      if (messageQueueRef.current.length > 0) {
-        setTimeout(processNextMessage, 0)
-      }
-    }
-  }, [])
+  useEffect(() => {
+    statsWindowRef.current = statsWindow
+    workerRef.current?.postMessage({ type: 'stats', window: statsWindow })
+  }, [statsWindow])
 
-  const queueMessage = useCallback((symbol, data) => {
-    messageQueueRef.current.push({ symbol, data })
-    // Prevent queue from growing too large
-    if (messageQueueRef.current.length > 200) {
-      messageQueueRef.current = messageQueueRef.current.slice(-100)
+  useEffect(() => {
+    watchlistRef.current = watchlist
+    saveWatchlist(watchlist)
+  }, [watchlist])
+
+  // Discover tradeable pairs once the SDK is up; their precision replaces the
+  // built-in defaults for pairs already being watched
+  useEffect(() => {
+    if (!sdkReady) return
+    let cancelled = false
+    discoverPairs()
+      .then(list => {
+        if (cancelled) return
+        setPairs(list)
+        watchlistRef.current.forEach(symbol => {
+          workerRef.current?.postMessage({ type: 'watch', symbol, precision: pairPrecision(symbol) })
+        })
+      })
+      .catch(e => {
+        console.warn('[HAVFLOW] Pair discovery failed:', e)
+        if (!cancelled) setPairsError(String(e.message || e))
+      })
+    return () => { cancelled = true }
+  }, [sdkReady])
+
+  useEffect(() => {
+    seriesViewRef.current = seriesView
+    workerRef.current?.postMessage({ type: 'series', ...seriesView })
+  }, [seriesView])
+
+  // Tick the retry countdown while a reconnect is pending
+  useEffect(() => {
+    if (!retry.nextRetryAt) return
+    const timer = setInterval(() => setNow(Date.now()), 250)
+    return () => clearInterval(timer)
+  }, [retry.nextRetryAt])
+
+  // Commit the pending frame on animation frames, no more often than maxFps
+  useEffect(() => {
+    const minGap = 1000 / maxFps
+    let lastCommit = 0
+    let raf
+
+    const loop = (time) => {
+      raf = requestAnimationFrame(loop)
+      const frame = pendingFrameRef.current
+      const tape = pendingTapeRef.current
+      const heatmap = pendingHeatmapRef.current
+      // Allow a little rAF jitter so a 60fps cap doesn't skip every other frame
+      if ((!frame && !tape && !heatmap) || time - lastCommit < minGap - 2) return
+
+      pendingFrameRef.current = null
+      pendingTapeRef.current = null
+      pendingHeatmapRef.current = null
+      lastCommit = time
+      countersRef.current.renders++
+      setView(prev => ({
+        ...prev,
+        ...(frame && {
+          bids: frame.bids,
+          asks: frame.asks,
+          stats: frame.stats,
+          imbalance: frame.imbalance,
+          series: frame.series,
+          history: frame.history,
+          ofi: frame.ofi,
+          pressure: frame.pressure,
+          rolling: frame.rolling,
+        }),
+        ...(tape && { tape: tape.tape, cvd: tape.cvd }),
+        ...(heatmap && {
+          heatmap: heatmap.reset ? heatmap.columns : [...prev.heatmap, ...heatmap.columns].slice(-HEATMAP_COLUMNS),
+        }),
+      }))
     }
-    processNextMessage()
-  }, [processNextMessage])
 
+    raf = requestAnimationFrame(loop)
+    return () => cancelAnimationFrame(raf)
+  }, [maxFps])
+
+  // Renders and feed messages per second
   useEffect(() => {
-    let mounted = true
+    const timer = setInterval(() => {
+      const { renders, messages } = countersRef.current
+      setPerf({ fps: renders, mps: messages })
+      setRecordedCount(recorderRef.current?.count() || 0)
+      countersRef.current = { renders: 0, messages: 0 }
+    }, 1000)
+    return () => clearInterval(timer)
+  }, [])
 
-    async function init() {
-      console.log('[HAVFLOW] Initializing Havklo SDK...')
-      await initWasm()
-      if (!mounted) return
+  const handleStartRecording = async (name) => {
+    recorderRef.current = await startRecording(name, depthRef.current)
+    // Updates alone can't be replayed; resubscribing puts a snapshot of every book in the session
+    workerRef.current?.postMessage({ type: 'resubscribe' })
+    setRecordedCount(0)
+    setRecording(true)
+  }
 
-      console.log('[HAVFLOW] SDK ready')
-      setSdkReady(true)
+  const handleStopRecording = async () => {
+    const recorder = recorderRef.current
+    recorderRef.current = null
+    await recorder?.stop()
+    setRecording(false)
+  }
 
-      // Create orderbooks for all symbols with correct precision
-      SYMBOLS.forEach(sym => {
-        const book = WasmOrderbook.with_depth(sym, DEPTH)
-        const [pricePrecision, qtyPrecision] = SYMBOL_PRECISION[sym] || [2, 8]
-        book.set_precision(pricePrecision, qtyPrecision)
-        booksRef.current[sym] = book
-      })
+  const goLive = useCallback(() => {
+    travelRequestRef.current = null
+    setTravel(null)
+  }, [])
 
-      setStatus('Connecting...')
-      const ws = new WebSocket('wss://ws.kraken.com/v2')
-      wsRef.current = ws
-
-      ws.onopen = () => {
-        if (!mounted) return
-        console.log('[HAVFLOW] WebSocket connected')
-        setStatus('Connected')
-        ws.send(JSON.stringify({
-          method: 'subscribe',
-          params: { channel: 'book', symbol: SYMBOLS, depth: DEPTH }
-        }))
-      }
+  const scrubTo = (sequence) => {
+    travelRequestRef.current = sequence
+    workerRef.current?.postMessage({ type: 'snapshot', symbol: selectedSymbolRef.current, sequence })
+  }
 
-      ws.onmessage = (event) => {
-        if (!mounted) return
-        try {
-          const msg = JSON.parse(event.data)
-          if (msg.channel === 'book' && msg.data?.[0]?.symbol) {
-            queueMessage(msg.data[0].symbol, event.data)
-          }
-        } catch (e) {}
-      }
+  const clearDisplay = useCallback(() => {
+    pendingFrameRef.current = null
+    pendingTapeRef.current = null
+    pendingHeatmapRef.current = null
+    setView(EMPTY_VIEW)
+    goLive()
+  }, [goLive])
+
+  // A resyncing book has nothing to show, but its tape, heatmap and history survive
+  // the resync in the worker, which only sends what is new afterwards
+  const clearBook = useCallback(() => {
+    pendingFrameRef.current = null
+    setView(prev => ({ ...prev, bids: [], asks: [], stats: EMPTY_VIEW.stats, imbalance: 0 }))
+    goLive()
+  }, [goLive])
+
+  // The worker rebuilds every book at the new depth and the source resubscribes;
+  // everything derived from the books starts over
+  const changeDepth = (next) => {
+    depthRef.current = next
+    localStorage.setItem(DEPTH_STORAGE_KEY, String(next))
+    setDepth(next)
+    workerRef.current?.postMessage({ type: 'depth', depth: next })
+    sourceRef.current?.setDepth(next)
+    clearDisplay()
+  }
+
+  const handleReplay = async (session) => {
+    if (recorderRef.current) await handleStopRecording()
+    setSource({ kind: 'replay', session })
+  }
 
-      ws.onclose = () => {
-        if (!mounted) return
-        setStatus('Disconnected')
+  // Manual retry for a symbol that gave up
+  const retrySymbol = (symbol) => {
+    workerRef.current?.postMessage({ type: 'retry', symbol })
+  }
+
+  useEffect(() => {
+    let mounted = true
+    const worker = new Worker(new URL('./bookWorker.js', import.meta.url), { type: 'module' })
+    workerRef.current = worker
+
+    worker.onmessage = ({ data: message }) => {
+      if (!mounted) return
+      switch (message.type) {
+        case 'ready':
+          worker.postMessage({ type: 'select', symbol: selectedSymbolRef.current })
+          worker.postMessage({ type: 'model', model: imbalanceModelRef.current })
+          worker.postMessage({ type: 'series', ...seriesViewRef.current })
+          worker.postMessage({ type: 'alerts', rules: alertRulesRef.current })
+          worker.postMessage({ type: 'pressure', config: pressureSettingsRef.current })
+          worker.postMessage({ type: 'stats', window: statsWindowRef.current })
+          setSdkReady(true)
+          break
+        case 'send':
+          sourceRef.current?.send(message.payload)
+          break
+        case 'sync':
+          setSyncStates(prev => ({ ...prev, [message.symbol]: { state: message.state, checksum: message.checksum } }))
+          if (message.symbol === selectedSymbolRef.current && message.state !== 'synced') clearBook()
+          break
+        case 'drops':
+          setDrops(message.drops)
+          break
+        case 'alert':
+          setAlertLog(prev => [message.alert, ...prev].slice(0, ALERT_LOG_LENGTH))
+          notify(message.alert)
+          break
+        case 'precision':
+          setPrecisionChanges(prev => ({ ...prev, [message.symbol]: { from: message.from, to: message.to } }))
+          break
+        case 'signals':
+          setSignals(message)
+          break
+        case 'overview':
+          setOverview(message.symbols)
+          break
+        case 'frame':
+          if (message.symbol !== selectedSymbolRef.current) break
+          pendingFrameRef.current = message
+          break
+        case 'tape':
+          if (message.symbol !== selectedSymbolRef.current) break
+          pendingTapeRef.current = message
+          break
+        case 'heatmap': {
+          if (message.symbol !== selectedSymbolRef.current) break
+          // Columns accumulate until the next commit; a reset replaces them
+          const pending = pendingHeatmapRef.current
+          pendingHeatmapRef.current = pending && !message.reset
+            ? { reset: pending.reset, columns: [...pending.columns, ...message.columns] }
+            : message
+          break
+        }
+        case 'snapshot':
+          if (message.missing || message.sequence !== travelRequestRef.current) break
+          if (message.symbol !== selectedSymbolRef.current) break
+          setTravel(message)
+          break
       }
-      ws.onerror = () => setStatus('Error')
     }
 
-    init()
+    worker.postMessage({
+      type: 'init',
+      symbols: watchlistRef.current.map(symbol => ({ symbol, precision: pairPrecision(symbol) })),
+      depth: depthRef.current,
+    })
     return () => {
       mounted = false
-      wsRef.current?.close()
-      Object.values(booksRef.current).forEach(book => {
-        try { book.free() } catch (e) {}
-      })
+      recorderRef.current?.stop()
+      worker.terminate()
     }
-  }, [queueMessage])
+  }, [clearBook])
 
-  // Handle symbol change - reset history for new symbol
+  // Feed the worker from the selected source. Every source starts from fresh books.
+  useEffect(() => {
+    if (!sdkReady) return
+    const worker = workerRef.current
+    let active = true
+    worker.postMessage({ type: 'rebuild', instruments: Boolean(SOURCES[source.kind].instruments), depth: depthRef.current })
+    setReplayDepth(null)
+    clearDisplay()
+    setRetry({ attempt: 0, nextRetryAt: null })
+
+    const feed = SOURCES[source.kind].create({
+      onOpen: () => worker.postMessage({ type: 'reset' }),
+      // Parsing and routing happen in the worker
+      onMessage: (data, ts) => {
+        countersRef.current.messages++
+        recorderRef.current?.record(data, ts)
+        worker.postMessage({ type: 'raw', data, ts })
+      },
+      onBatch: (messages) => worker.postMessage({ type: 'batch', messages }),
+      onStatus: ({ state, attempt = 0, nextRetryAt = null }) => {
+        if (!active) return
+        setStatus(state)
+        setRetry({ attempt, nextRetryAt })
+      },
+      onProgress: (state) => {
+        if (active) setReplayState(state)
+      },
+      onDepth: (recorded) => {
+        if (!active) return
+        setReplayDepth(recorded)
+        worker.postMessage({ type: 'depth', depth: recorded })
+      },
+    }, source)
+    sourceRef.current = feed
+    feed.subscribe(watchlistRef.current, depthRef.current)
+    feed.connect()
+
+    return () => {
+      active = false
+      feed.close()
+      sourceRef.current = null
+      setReplayState(null)
+    }
+  }, [sdkReady, source, clearDisplay])
+
+  // Keep the bucket size when it suits the new window, otherwise take the finest that does
+  const setSeriesWindow = (windowMs) => {
+    const sizes = bucketSizesFor(windowMs)
+    const bucket = sizes.some(({ ms }) => ms === seriesView.bucket) ? seriesView.bucket : sizes[0].ms
+    setSeriesView({ window: windowMs, bucket })
+  }
+
+  // The worker answers the select with the new symbol's retained state and history
   const handleSymbolChange = (newSymbol) => {
+    setOverviewMode(false)
     setSelectedSymbol(newSymbol)
-    setImbalance(0)
-    setImbalanceHistory([])
-    setBids([])
-    setAsks([])
-    setStats({ bidVolume: 0, askVolume: 0, spread: 0, midPrice: 0 })
+    pendingFrameRef.current = null
+    pendingTapeRef.current = null
+    pendingHeatmapRef.current = null
+    goLive()
+  }
+
+  // Add or remove a pair: the worker creates or frees its book, the feed (un)subscribes
+  const toggleWatch = (symbol) => {
+    const worker = workerRef.current
+    if (watchlist.includes(symbol)) {
+      if (watchlist.length === 1) return
+      const remaining = watchlist.filter(sym => sym !== symbol)
+      sourceRef.current?.unsubscribe([symbol])
+      worker?.postMessage({ type: 'unwatch', symbol })
+      setSyncStates(({ [symbol]: removed, ...rest }) => rest)
+      setPrecisionChanges(({ [symbol]: removed, ...rest }) => rest)
+      setWatchlist(remaining)
+      if (symbol === selectedSymbol) handleSymbolChange(remaining[0])
+    } else {
+      worker?.postMessage({ type: 'watch', symbol, precision: pairPrecision(symbol) })
+      sourceRef.current?.subscribe([symbol], depth)
+      setWatchlist([...watchlist, symbol])
+    }
   }
 
-  const gaugePosition = ((imbalance + 1) / 2) * 100 // Convert -1..1 to 0..100
+  const replaySession = source.kind === 'replay' ? source.session : null
+  const { bids, asks, stats, imbalance } = travel || view
+  const { series, history, ofi, tape, cvd, heatmap, pressure } = view
+  // A retained snapshot has no classification history, so it is classified on its own
+  const tier = travel ? targetTier(pressureSettings, 0, imbalance) : pressure.tier
+  const seriesStart = series[0]?.t
+  const seriesSpan = series.length * seriesView.bucket
+  const selectedSync = syncStates[selectedSymbol]?.state || 'resyncing'
+
+  // In z mode the gauge reads the worker's z-score of the imbalance against the selected
+  // pair's rolling window, ±Z_RANGE standard deviations end to end. The window is live
+  // only, so a history frame reads raw
+  const rolling = view.rolling
+  const zMode = gaugeMode === 'z' && !travel
+  const zScore = rolling?.z ?? 0
+  const gaugeValue = zMode ? Math.max(-1, Math.min(1, zScore / Z_RANGE)) : imbalance
+  const gaugePosition = ((gaugeValue + 1) / 2) * 100 // Convert -1..1 to 0..100
 
   return (
     <div style={styles.container}>
@@ -189,162 +546,347 @@ export default function App() {
           </span>
         </div>
         <div style={styles.symbolSelector}>
-          {SYMBOLS.map(sym => (
+          <button
+            style={{
+              ...styles.symbolBtn,
+              background: overviewMode ? '#00D9FF' : 'transparent',
+              color: overviewMode ? '#0a0e14' : '#b3b1ad',
+            }}
+            onClick={() => setOverviewMode(true)}
+          >
+            OVERVIEW
+          </button>
+          {watchlist.map(sym => (
             <button
               key={sym}
               style={{
                 ...styles.symbolBtn,
-                background: selectedSymbol === sym ? '#00D9FF' : 'transparent',
-                color: selectedSymbol === sym ? '#0a0e14' : '#b3b1ad',
+                background: !overviewMode && selectedSymbol === sym ? '#00D9FF' : 'transparent',
+                color: !overviewMode && selectedSymbol === sym ? '#0a0e14' : '#b3b1ad',
               }}
               onClick={() => handleSymbolChange(sym)}
             >
-              {sym.split('/')[0]}
+              <span
+                title={`${syncStates[sym]?.state || 'resyncing'} (checksum ${syncStates[sym]?.checksum || '---'})`}
+                style={{ ...styles.syncBadge, background: SYNC_COLORS[syncStates[sym]?.state || 'resyncing'] }}
+              />
+              {sym.endsWith('/USD') ? sym.split('/')[0] : sym}
+              {drops[sym] > 0 && (
+                <span style={styles.dropCount} title={`${drops[sym]} messages dropped`}>
+                  {drops[sym]}
+                </span>
+              )}
             </button>
           ))}
+          <SymbolPicker pairs={pairs} error={pairsError} watchlist={watchlist} onToggle={toggleWatch} />
         </div>
         <div style={styles.statusBar}>
+          <select
+            style={styles.select}
+            value={source.kind}
+            onChange={(e) => setSource({ kind: e.target.value })}
+            title="Data source"
+          >
+            {Object.entries(SOURCES)
+              .filter(([kind]) => kind !== 'replay' || replaySession)
+              .map(([kind, { label }]) => (
+                <option key={kind} value={kind}>{kind === 'replay' ? `${label}: ${replaySession.name}` : label}</option>
+              ))}
+          </select>
+          {recording && <span style={styles.recIndicator}>● REC</span>}
+          <span style={styles.perfInfo}>{perf.fps} fps · {perf.mps} msg/s</span>
+          <select
+            style={styles.select}
+            value={replayDepth ?? depth}
+            onChange={(e) => changeDepth(Number(e.target.value))}
+            disabled={recording || Boolean(replaySession)}
+            title={replaySession
+              ? 'Replays use the depth the session was recorded at'
+              : recording
+                ? 'Depth is fixed while recording'
+                : 'Orderbook depth: books are rebuilt and resubscribed'}
+          >
+            {DEPTHS.map(levels => (
+              <option key={levels} value={levels}>depth {levels}</option>
+            ))}
+          </select>
+          <select
+            style={styles.select}
+            value={maxFps}
+            onChange={(e) => setMaxFps(Number(e.target.value))}
+            title="Maximum UI refresh rate"
+          >
+            {REFRESH_RATES.map(rate => (
+              <option key={rate} value={rate}>max {rate} fps</option>
+            ))}
+          </select>
           <span style={{
             ...styles.statusDot,
-            background: status === 'Connected' ? '#00FF88' : '#FF4444'
+            background: status === 'Connected' ? '#00FF88'
+              : status === 'Replay' || status === 'Synthetic' ? '#00D9FF'
+              : status === 'Reconnecting' ? '#FFD700' : '#FF4444'
           }} />
           <span>{status}</span>
+          {retry.nextRetryAt && (
+            <span style={styles.retryInfo}>
+              retry #{retry.attempt} in {Math.max(0, Math.ceil((retry.nextRetryAt - now) / 1000))}s
+            </span>
+          )}
         </div>
       </header>
 
       <div style={styles.content}>
-        <div style={styles.gaugeContainer}>
-          <h2 style={styles.sectionTitle}>ORDER FLOW IMBALANCE — <span style={{ color: '#FFD700' }}>{selectedSymbol}</span></h2>
-
-          <div style={styles.gaugeWrapper}>
-            <div style={styles.gaugeLabels}>
-              <span style={{ color: '#FF4444' }}>SELL</span>
-              <span style={{ color: '#00FF88' }}>BUY</span>
-            </div>
-
-            <div style={styles.gaugeTrack}>
-              <div style={{
-                ...styles.gaugeNeedle,
-                left: `${gaugePosition}%`,
-              }} />
-              <div style={{
-                ...styles.gaugeFill,
-                background: imbalance >= 0
-                  ? `linear-gradient(to right, #2a2e38 50%, #00FF88 50%, #00FF88 ${50 + (imbalance * 50)}%, #2a2e38 ${50 + (imbalance * 50)}%)`
-                  : `linear-gradient(to right, #2a2e38 ${50 + (imbalance * 50)}%, #FF4444 ${50 + (imbalance * 50)}%, #FF4444 50%, #2a2e38 50%)`,
-              }} />
-            </div>
+        {replaySession && (
+          <ReplayControls
+            session={replaySession}
+            state={replayState}
+            player={sourceRef.current?.player}
+            onExit={() => setSource({ kind: 'kraken' })}
+          />
+        )}
 
-            <div style={styles.gaugeScale}>
-              <span>-1.0</span>
-              <span>0</span>
-              <span>+1.0</span>
-            </div>
-          </div>
-
-          <div style={styles.imbalanceValue}>
-            <span style={{ color: imbalance >= 0 ? '#00FF88' : '#FF4444' }}>
-              {imbalance >= 0 ? '+' : ''}{imbalance.toFixed(3)}
-            </span>
-            <span style={styles.pressureLabel}>
-              {imbalance >= 0.1 ? 'BUY PRESSURE' : imbalance <= -0.1 ? 'SELL PRESSURE' : 'BALANCED'}
+        {Object.entries(precisionChanges).map(([sym, { from, to }]) => (
+          <div key={sym} style={styles.precisionWarning}>
+            <span>
+              PRECISION CHANGED — <span style={{ color: '#FFD700' }}>{sym}</span> now {to.join('/')} dp
+              (was {from.join('/')}); book resynced
             </span>
+            <button
+              style={styles.dismissBtn}
+              onClick={() => setPrecisionChanges(({ [sym]: dismissed, ...rest }) => rest)}
+              title="Dismiss"
+            >
+              ×
+            </button>
           </div>
+        ))}
 
-          {stats.midPrice > 0 && (
-            <div style={styles.midPrice}>
-              Mid Price: <span style={{ color: '#FFD700' }}>${stats.midPrice.toLocaleString()}</span>
-            </div>
-          )}
-        </div>
-
-        <div style={styles.historyContainer}>
-          <h2 style={styles.sectionTitle}>IMBALANCE HISTORY (60s)</h2>
-          <div style={styles.sparkline}>
-            {imbalanceHistory.map((val, i) => (
-              <div
-                key={i}
-                style={{
-                  ...styles.sparkBar,
-                  height: `${Math.abs(val) * 100}%`,
-                  background: val >= 0 ? '#00FF88' : '#FF4444',
-                  bottom: val >= 0 ? '50%' : 'auto',
-                  top: val >= 0 ? 'auto' : '50%',
-                  left: `${(i / 60) * 100}%`,
-                  width: `${100 / 60}%`,
-                }}
+        {overviewMode ? (
+          <div style={styles.overviewGrid}>
+            {watchlist.map(sym => (
+              <SymbolCard
+                key={sym}
+                symbol={sym}
+                summary={overview[sym]}
+                syncColor={SYNC_COLORS[syncStates[sym]?.state || 'resyncing']}
+                onSelect={handleSymbolChange}
               />
             ))}
-            <div style={styles.zeroLineHorizontal} />
-          </div>
-          <div style={styles.sparkLabels}>
-            <span>-1.0</span>
-            <span style={styles.zeroLabel}>0</span>
-            <span>+1.0</span>
           </div>
-        </div>
+        ) : (
+          <>
+          <div style={styles.gaugeContainer}>
+            <h2 style={styles.sectionTitle}>
+              DEPTH IMBALANCE — <span style={{ color: '#FFD700' }}>{selectedSymbol}</span>
+              {travel && <span style={{ color: '#FF8C00' }}> (HISTORY)</span>}
+            </h2>
 
-        <div style={styles.volumeStats}>
-          <div style={styles.statCard}>
-            <div style={styles.statLabel}>BID VOLUME</div>
-            <div style={{ ...styles.statValue, color: '#00FF88' }}>
-              {stats.bidVolume.toFixed(4)} {selectedSymbol.split('/')[0]}
+            <div style={styles.modelRow}>
+              <ImbalanceModelPicker model={imbalanceModel} onChange={setImbalanceModel} />
+              <PressureTiersEditor config={pressureSettings} onChange={setPressureSettings} />
+              <select style={styles.select} value={gaugeMode} onChange={(e) => setGaugeMode(e.target.value)} title="Gauge reading">
+                <option value="raw">raw imbalance</option>
+                <option value="z">z-score ({STATS_WINDOWS.find(({ ms }) => ms === statsWindow)?.label})</option>
+              </select>
             </div>
-          </div>
-          <div style={styles.statCard}>
-            <div style={styles.statLabel}>ASK VOLUME</div>
-            <div style={{ ...styles.statValue, color: '#FF4444' }}>
-              {stats.askVolume.toFixed(4)} {selectedSymbol.split('/')[0]}
+
+            {selectedSync !== 'synced' && (
+              <div style={{ ...styles.syncNotice, color: SYNC_COLORS[selectedSync] }}>
+                {selectedSync === 'failed' ? (
+                  <>
+                    BOOK FAILED TO RESYNC —{' '}
+                    <button style={styles.retryBtn} onClick={() => retrySymbol(selectedSymbol)}>RETRY</button>
+                  </>
+                ) : 'RESYNCING — WAITING FOR FRESH SNAPSHOT'}
+              </div>
+            )}
+
+            <div style={styles.gaugeWrapper}>
+              <div style={styles.gaugeLabels}>
+                <span style={{ color: '#FF4444' }}>SELL</span>
+                <span style={{ color: '#00FF88' }}>BUY</span>
+              </div>
+
+              <div style={styles.gaugeTrack}>
+                <div style={{
+                  ...styles.gaugeNeedle,
+                  left: `${gaugePosition}%`,
+                }} />
+                <div style={{
+                  ...styles.gaugeFill,
+                  background: gaugeValue >= 0
+                    ? `linear-gradient(to right, #2a2e38 50%, #00FF88 50%, #00FF88 ${50 + (gaugeValue * 50)}%, #2a2e38 ${50 + (gaugeValue * 50)}%)`
+                    : `linear-gradient(to right, #2a2e38 ${50 + (gaugeValue * 50)}%, #FF4444 ${50 + (gaugeValue * 50)}%, #FF4444 50%, #2a2e38 50%)`,
+                }} />
+              </div>
+
+              <div style={styles.gaugeScale}>
+                <span>{zMode ? `-${Z_RANGE}σ` : '-1.0'}</span>
+                <span>{zMode ? 'mean' : '0'}</span>
+                <span>{zMode ? `+${Z_RANGE}σ` : '+1.0'}</span>
+              </div>
             </div>
-          </div>
-          <div style={styles.statCard}>
-            <div style={styles.statLabel}>SPREAD</div>
-            <div style={{ ...styles.statValue, color: '#FFD700' }}>
-              ${stats.spread?.toFixed(2) || '---'}
+
+            <div style={styles.imbalanceValue}>
+              <span style={{ color: gaugeValue >= 0 ? '#00FF88' : '#FF4444' }}>
+                {zMode
+                  ? `${zScore >= 0 ? '+' : ''}${zScore.toFixed(2)}σ`
+                  : `${imbalance >= 0 ? '+' : ''}${imbalance.toFixed(3)}`}
+              </span>
+              {zMode && (
+                <span style={styles.zDetail}>
+                  {rolling
+                    ? `raw ${imbalance >= 0 ? '+' : ''}${imbalance.toFixed(3)} · mean ${rolling.mean.toFixed(3)} · σ ${rolling.stdev.toFixed(3)}`
+                    : 'collecting samples'}
+                </span>
+              )}
+              <span style={{ ...styles.pressureLabel, color: tierColor(tier, pressureSettings.tiers.length) }}>
+                {tierLabel(pressureSettings, tier)}
+              </span>
             </div>
+
+            <OfiPanel ofi={ofi} live={!!travel} />
+
+            {stats.midPrice > 0 && (
+              <div style={styles.midPrice}>
+                Mid Price: <span style={{ color: '#FFD700' }}>${stats.midPrice.toLocaleString()}</span>
+              </div>
+            )}
           </div>
-        </div>
 
-        <div style={styles.depthBars}>
-          <div style={styles.depthSide}>
-            <h3 style={{ ...styles.depthTitle, color: '#00FF88' }}>BIDS (Top 10)</h3>
-            {bids.slice(0, 10).map((bid, i) => {
-              const price = bid.price || bid[0] || 0
-              const qty = bid.qty || bid[1] || 0
-              const maxQty = Math.max(...bids.slice(0, 10).map(b => b.qty || b[1] || 0), 0.001)
-              return (
-                <div key={i} style={styles.depthRow}>
+          <div style={styles.historyContainer}>
+            <h2 style={styles.sectionTitle}>
+              IMBALANCE HISTORY ({HISTORY_WINDOWS.find(({ ms }) => ms === seriesView.window)?.label}) — {describeModel(imbalanceModel).toUpperCase()}
+            </h2>
+            <div style={styles.seriesControls}>
+              <select style={styles.select} value={seriesView.window} onChange={(e) => setSeriesWindow(Number(e.target.value))} title="History window">
+                {HISTORY_WINDOWS.map(({ label, ms }) => (
+                  <option key={ms} value={ms}>{label} window</option>
+                ))}
+              </select>
+              <select
+                style={styles.select}
+                value={seriesView.bucket}
+                onChange={(e) => setSeriesView({ ...seriesView, bucket: Number(e.target.value) })}
+                title="Bucket size"
+              >
+                {bucketSizesFor(seriesView.window).map(({ label, ms }) => (
+                  <option key={ms} value={ms}>{label} buckets</option>
+                ))}
+              </select>
+              <select style={styles.select} value={seriesStat} onChange={(e) => setSeriesStat(e.target.value)} title="Bar value">
+                <option value="last">last</option>
+                <option value="mean">mean</option>
+              </select>
+              <label style={styles.seriesHint}>
+                <input type="checkbox" checked={showTierEvents} onChange={(e) => setShowTierEvents(e.target.checked)} />
+                tier changes
+              </label>
+              <span style={styles.seriesHint}>shaded: min–max per bucket</span>
+            </div>
+            <div style={styles.sparkline}>
+              {series.map((slot, i) => slot.last !== null && (
+                <div
+                  key={slot.t}
+                  style={{ ...styles.sparkSlot, left: `${(i / series.length) * 100}%`, width: `${100 / series.length}%` }}
+                >
+                  <div style={{ ...styles.sparkRange, top: `${50 - slot.max * 50}%`, height: `${(slot.max - slot.min) * 50}%` }} />
                   <div style={{
-                    ...styles.depthBar,
-                    width: `${(qty / maxQty) * 100}%`,
-                    background: 'linear-gradient(to right, transparent, #00FF8844)',
+                    ...styles.sparkBar,
+                    height: `${Math.abs(slot[seriesStat]) * 50}%`,
+                    background: slot[seriesStat] >= 0 ? '#00FF88' : '#FF4444',
+                    bottom: slot[seriesStat] >= 0 ? '50%' : 'auto',
+                    top: slot[seriesStat] >= 0 ? 'auto' : '50%',
                   }} />
-                  <span style={styles.depthQty}>{qty.toFixed(4)}</span>
-                  <span style={styles.depthPrice}>${price.toLocaleString()}</span>
                 </div>
-              )
-            })}
+              ))}
+              <div style={styles.zeroLineHorizontal} />
+              {showTierEvents && seriesSpan > 0 && pressure.events
+                .filter(({ time }) => time >= seriesStart)
+                .map(event => (
+                  <div
+                    key={`${event.time} ${event.to}`}
+                    title={`${new Date(event.time).toLocaleTimeString([], { hour12: false })} ${tierLabel(pressureSettings, event.from)} → ${tierLabel(pressureSettings, event.to)}`}
+                    style={{
+                      ...styles.tierEvent,
+                      left: `${Math.min(100, ((event.time - seriesStart) / seriesSpan) * 100)}%`,
+                      background: event.to === 0 ? '#FFD700' : tierColor(event.to, pressureSettings.tiers.length),
+                    }}
+                  />
+                ))}
+            </div>
+            <TimeAxis start={seriesStart} end={series.length > 0 ? seriesStart + seriesSpan : 0} />
+            <CvdChart
+              history={series.map(slot => slot.cvd)}
+              cvd={cvd}
+              slots={series.length || 1}
+              unit={selectedSymbol.split('/')[0]}
+            />
           </div>
-          <div style={styles.depthSide}>
-            <h3 style={{ ...styles.depthTitle, color: '#FF4444' }}>ASKS (Top 10)</h3>
-            {asks.slice(0, 10).map((ask, i) => {
-              const price = ask.price || ask[0] || 0
-              const qty = ask.qty || ask[1] || 0
-              const maxQty = Math.max(...asks.slice(0, 10).map(a => a.qty || a[1] || 0), 0.001)
-              return (
-                <div key={i} style={styles.depthRow}>
-                  <div style={{
-                    ...styles.depthBar,
-                    width: `${(qty / maxQty) * 100}%`,
-                    background: 'linear-gradient(to right, transparent, #FF444444)',
-                  }} />
-                  <span style={styles.depthQty}>{qty.toFixed(4)}</span>
-                  <span style={styles.depthPrice}>${price.toLocaleString()}</span>
-                </div>
-              )
-            })}
+
+          <div style={styles.volumeStats}>
+            <div style={styles.statCard}>
+              <div style={styles.statLabel}>BID VOLUME</div>
+              <div style={{ ...styles.statValue, color: '#00FF88' }}>
+                {stats.bidVolume.toFixed(4)} {selectedSymbol.split('/')[0]}
+              </div>
+            </div>
+            <div style={styles.statCard}>
+              <div style={styles.statLabel}>ASK VOLUME</div>
+              <div style={{ ...styles.statValue, color: '#FF4444' }}>
+                {stats.askVolume.toFixed(4)} {selectedSymbol.split('/')[0]}
+              </div>
+            </div>
+            <div style={styles.statCard}>
+              <div style={styles.statLabel}>SPREAD</div>
+              <div style={{ ...styles.statValue, color: '#FFD700' }}>
+                ${stats.spread?.toFixed(2) || '---'}
+              </div>
+            </div>
           </div>
-        </div>
+
+          <div style={styles.depthBars}>
+            <DepthChart bids={bids} asks={asks} midPrice={stats.midPrice} quote={selectedSymbol.split('/')[1]} />
+            <TradeTape trades={tape} />
+          </div>
+
+          <LiquidityHeatmap columns={heatmap} />
+
+          <HistoryScrubber history={history} travel={travel} onScrub={scrubTo} onLive={goLive} />
+
+          <SignalQualityPanel
+            signals={signals}
+            symbol={selectedSymbol}
+            pressure={pressureSettings}
+            onClear={() => workerRef.current?.postMessage({ type: 'clearSignals', symbol: selectedSymbol })}
+          />
+          </>
+        )}
+
+        <RollingStatsPanel
+          overview={overview}
+          symbols={watchlist}
+          selectedSymbol={selectedSymbol}
+          window={statsWindow}
+          onWindowChange={setStatsWindow}
+        />
+
+        <AlertPanel
+          rules={alertRules}
+          log={alertLog}
+          symbols={watchlist}
+          onChange={setAlertRules}
+          onClearLog={() => setAlertLog([])}
+        />
+
+        <SessionPanel
+          recording={recording}
+          recordedCount={recordedCount}
+          onStartRecording={handleStartRecording}
+          onStopRecording={handleStopRecording}
+          replaying={Boolean(replaySession)}
+          onReplay={handleReplay}
+        />
       </div>
 
       <footer style={styles.footer}>
@@ -381,9 +923,13 @@ const styles = {
   },
   symbolSelector: {
     display: 'flex',
+    flexWrap: 'wrap',
     gap: '8px',
   },
   symbolBtn: {
+    display: 'flex',
+    alignItems: 'center',
+    gap: '6px',
     padding: '6px 12px',
     border: '1px solid #2a2e38',
     borderRadius: '4px',
@@ -399,6 +945,72 @@ const styles = {
     gap: '8px',
     fontSize: '12px',
   },
+  syncBadge: {
+    width: '6px',
+    height: '6px',
+    borderRadius: '50%',
+  },
+  dropCount: {
+    fontSize: '9px',
+    color: '#FF4444',
+  },
+  syncNotice: {
+    textAlign: 'center',
+    fontSize: '12px',
+    letterSpacing: '2px',
+    marginBottom: '20px',
+  },
+  retryBtn: {
+    padding: '2px 8px',
+    border: '1px solid #FF4444',
+    borderRadius: '4px',
+    background: 'transparent',
+    color: '#FF4444',
+    cursor: 'pointer',
+    fontSize: '11px',
+    fontFamily: "'SF Mono', monospace",
+  },
+  precisionWarning: {
+    display: 'flex',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    padding: '8px 12px',
+    border: '1px solid #FF8C00',
+    borderRadius: '4px',
+    color: '#FF8C00',
+    fontSize: '12px',
+    letterSpacing: '1px',
+  },
+  dismissBtn: {
+    border: 'none',
+    background: 'transparent',
+    color: '#FF8C00',
+    cursor: 'pointer',
+    fontSize: '14px',
+    fontFamily: "'SF Mono', monospace",
+  },
+  recIndicator: {
+    color: '#FF4444',
+    fontWeight: 'bold',
+    marginRight: '8px',
+  },
+  perfInfo: {
+    color: '#666',
+    marginRight: '8px',
+  },
+  select: {
+    padding: '4px 6px',
+    background: '#12171f',
+    color: '#b3b1ad',
+    border: '1px solid #2a2e38',
+    borderRadius: '4px',
+    fontSize: '11px',
+    fontFamily: "'SF Mono', monospace",
+    marginRight: '8px',
+  },
+  retryInfo: {
+    color: '#666',
+  },
   statusDot: {
     width: '8px',
     height: '8px',
@@ -410,6 +1022,11 @@ const styles = {
     gap: '25px',
     flex: 1,
   },
+  overviewGrid: {
+    display: 'grid',
+    gridTemplateColumns: 'repeat(auto-fill, minmax(260px, 1fr))',
+    gap: '20px',
+  },
   gaugeContainer: {
     background: '#12171f',
     borderRadius: '8px',
@@ -424,6 +1041,14 @@ const styles = {
     marginTop: 0,
     textAlign: 'center',
   },
+  modelRow: {
+    display: 'flex',
+    justifyContent: 'center',
+    alignItems: 'center',
+    gap: '8px',
+    marginTop: '-8px',
+    marginBottom: '20px',
+  },
   gaugeWrapper: {
     maxWidth: '600px',
     margin: '0 auto',
@@ -471,6 +1096,13 @@ const styles = {
     fontSize: '32px',
     fontWeight: 'bold',
   },
+  zDetail: {
+    display: 'block',
+    fontSize: '11px',
+    fontWeight: 'normal',
+    color: '#666',
+    marginTop: '5px',
+  },
   pressureLabel: {
     display: 'block',
     fontSize: '12px',
@@ -496,30 +1128,49 @@ const styles = {
     background: '#1a1f29',
     borderRadius: '4px',
   },
-  sparkBar: {
+  sparkSlot: {
     position: 'absolute',
-    borderRadius: '2px',
+    top: 0,
+    bottom: 0,
   },
-  zeroLineHorizontal: {
+  sparkRange: {
     position: 'absolute',
     left: 0,
     right: 0,
-    top: '50%',
-    height: '1px',
-    background: '#3a3e48',
+    background: '#ffffff14',
   },
-  sparkLabels: {
+  sparkBar: {
+    position: 'absolute',
+    left: '10%',
+    right: '10%',
+    borderRadius: '2px',
+  },
+  seriesControls: {
     display: 'flex',
-    justifyContent: 'space-between',
+    justifyContent: 'center',
+    alignItems: 'center',
+    marginBottom: '12px',
+  },
+  seriesHint: {
     fontSize: '10px',
     color: '#666',
-    marginTop: '5px',
-    position: 'relative',
+    marginRight: '8px',
   },
-  zeroLabel: {
+  tierEvent: {
     position: 'absolute',
-    left: '50%',
-    transform: 'translateX(-50%)',
+    top: 0,
+    bottom: 0,
+    width: '2px',
+    marginLeft: '-1px',
+    cursor: 'help',
+  },
+  zeroLineHorizontal: {
+    position: 'absolute',
+    left: 0,
+    right: 0,
+    top: '50%',
+    height: '1px',
+    background: '#3a3e48',
   },
   volumeStats: {
     display: 'grid',
@@ -545,43 +1196,9 @@ const styles = {
   },
   depthBars: {
     display: 'grid',
-    gridTemplateColumns: '1fr 1fr',
+    gridTemplateColumns: 'minmax(0, 2fr) minmax(0, 1fr)',
     gap: '20px',
   },
-  depthSide: {
-    background: '#12171f',
-    borderRadius: '8px',
-    padding: '20px',
-    border: '1px solid #2a2e38',
-  },
-  depthTitle: {
-    fontSize: '12px',
-    letterSpacing: '2px',
-    marginBottom: '15px',
-    marginTop: 0,
-  },
-  depthRow: {
-    position: 'relative',
-    display: 'flex',
-    justifyContent: 'space-between',
-    padding: '6px 0',
-    fontSize: '12px',
-  },
-  depthBar: {
-    position: 'absolute',
-    left: 0,
-    top: 0,
-    bottom: 0,
-  },
-  depthQty: {
-    position: 'relative',
-    zIndex: 1,
-  },
-  depthPrice: {
-    position: 'relative',
-    zIndex: 1,
-    color: '#FFD700',
-  },
   footer: {
     textAlign: 'center',
     color: '#666',
@@ -0,0 +1,135 @@
+// Alert rules, evaluated in the worker against every symbol's book state.
+// A rule is { id, kind, symbol ('*' for all), op, threshold, duration, cooldown, sound, enabled };
+// durations are in ms. Threshold rules fire once their condition has held for the
+// duration; event rules fire when the event happens. Either waits out the cooldown
+// before firing again for the same symbol.
+
+const spreadBps = ({ stats }) => (stats.midPrice > 0 ? (stats.spread / stats.midPrice) * 10000 : null)
+
+export const ALERT_KINDS = {
+  imbalance: {
+    label: 'Imbalance',
+    threshold: { min: -1, max: 1, step: 0.05, default: 0.4 },
+    value: (state) => state.imbalance,
+    format: (value) => value.toFixed(3),
+  },
+  spread: {
+    label: 'Spread',
+    unit: 'bps',
+    threshold: { min: 0, max: 10000, step: 0.5, default: 10 },
+    value: spreadBps,
+    format: (value) => `${value.toFixed(1)} bps`,
+  },
+  resync: {
+    label: 'Book resync',
+    event: true,
+  },
+}
+
+export const ALERT_OPS = {
+  '>': (value, threshold) => value > threshold,
+  '<': (value, threshold) => value < threshold,
+}
+
+let nextId = 0
+const ruleId = () => `${Date.now().toString(36)}-${(nextId++).toString(36)}`
+
+// A rule of the given kind with every field filled in
+export function alertRule(kind, fields = {}) {
+  const spec = ALERT_KINDS[kind] || ALERT_KINDS.imbalance
+  return {
+    id: ruleId(),
+    kind: ALERT_KINDS[kind] ? kind : 'imbalance',
+    symbol: '*',
+    op: '>',
+    threshold: spec.threshold?.default ?? 0,
+    duration: 5000,
+    cooldown: 60000,
+    sound: true,
+    enabled: true,
+    ...fields,
+  }
+}
+
+// e.g. "Imbalance > 0.4 for 5s on ETH/USD"
+export function describeRule(rule) {
+  const spec = ALERT_KINDS[rule.kind]
+  const where = rule.symbol === '*' ? 'any symbol' : rule.symbol
+  if (spec.event) return `${spec.label} on ${where}`
+  const unit = spec.unit ? ` ${spec.unit}` : ''
+  const held = rule.duration > 0 ? ` for ${rule.duration / 1000}s` : ''
+  return `${spec.label} ${rule.op} ${rule.threshold}${unit}${held} on ${where}`
+}
+
+export function createAlertEvaluator() {
+  let rules = []
+  // `${ruleId} ${symbol}` -> { since, firedAt }
+  let state = new Map()
+
+  const entry = (rule, symbol) => {
+    const key = `${rule.id} ${symbol}`
+    if (!state.has(key)) state.set(key, { since: null, firedAt: -Infinity })
+    return state.get(key)
+  }
+
+  const applies = (rule, symbol) => rule.enabled && (rule.symbol === '*' || rule.symbol === symbol)
+
+  const fire = (rule, symbol, time, detail) => ({
+    id: ruleId(),
+    ruleId: rule.id,
+    symbol,
+    time,
+    sound: rule.sound,
+    message: `${describeRule({ ...rule, symbol })}${detail ? ` — ${detail}` : ''}`,
+  })
+
+  // Rules whose condition on a new book state has now held long enough
+  function check(symbol, bookState, time) {
+    const fired = []
+    rules.forEach(rule => {
+      const spec = ALERT_KINDS[rule.kind]
+      if (spec.event || !applies(rule, symbol)) return
+      const value = spec.value(bookState)
+      const current = entry(rule, symbol)
+      if (value === null || value === undefined || !ALERT_OPS[rule.op](value, rule.threshold)) {
+        current.since = null
+        return
+      }
+      current.since ??= time
+      if (time - current.since >= rule.duration && time - current.firedAt >= rule.cooldown) {
+        current.firedAt = time
+        fired.push(fire(rule, symbol, time, spec.format(value)))
+      }
+    })
+    return fired
+  }
+
+  // Rules of an event kind, e.g. 'resync', triggered for symbol
+  function event(kind, symbol, time, detail) {
+    const fired = []
+    rules.forEach(rule => {
+      if (rule.kind !== kind || !applies(rule, symbol)) return
+      const current = entry(rule, symbol)
+      if (time - current.firedAt < rule.cooldown) return
+      current.firedAt = time
+      fired.push(fire(rule, symbol, time, detail))
+    })
+    return fired
+  }
+
+  // A condition only holds across continuous, trustworthy book states
+  function interrupt(symbol) {
+    state.forEach((value, key) => {
+      if (key.endsWith(` ${symbol}`)) value.since = null
+    })
+  }
+
+  // Edited rules keep their cooldowns; removed ones are forgotten
+  function setRules(next) {
+    rules = next
+    const ids = new Set(next.map(rule => rule.id))
+    state = new Map([...state].filter(([key]) => ids.has(key.split(' ')[0])))
+  }
+
+  return { check, event, interrupt, setRules }
+}
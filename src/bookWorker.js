@@ -0,0 +1,749 @@
+// Orderbook worker: owns the WASM SDK, one WasmOrderbook per symbol and the
+// message queue, keeps metrics, history and trades for every symbol, and posts
+// compact per-frame state for the selected symbol.
+//
+// In:  init { symbols: [{ symbol, precision }], depth }, watch { symbol, precision }, unwatch { symbol },
+//      raw { data, ts }, batch { messages: [{ data, ts }] }, select { symbol },
+//      reset, rebuild { instruments, depth }, retry { symbol }, resubscribe, snapshot { symbol, sequence }, model { model },
+//      series { window, bucket }, depth { depth }, alerts { rules }, pressure { config },
+//      stats { window }, clearSignals { symbol }
+// Out: ready, send { payload }, sync { symbol, state, checksum }, drops { drops },
+//      precision { symbol, from, to }, alert { alert },
+//      signals { symbol, models: [{ model, current, horizons: [{ horizon, count, correlation, tiers, points? }] }] },
+//      frame { symbol, bids, asks, stats, imbalance, series, history, ofi, pressure: { tier, events }, rolling },
+//      tape { symbol, tape, cvd }, heatmap { symbol, columns, reset }, overview { symbols: { [symbol]: { imbalance, spread, midPrice, samples, rolling } } },
+//      snapshot { symbol, sequence, time, bids, asks, stats, imbalance } | { symbol, sequence, missing }
+
+import initWasm, { WasmOrderbook } from '../wasm/kraken_wasm.js'
+import { DEPTH } from './config'
+import { bookMetrics, touch } from './metrics'
+import { DEFAULT_MODEL, IMBALANCE_MODELS, modelConfig, describeModel, computeImbalance } from './imbalance'
+import { createOfiTracker } from './ofi'
+import { createTradeTracker } from './trades'
+import { createRingBuffer } from './ringBuffer'
+import { BASE_BUCKETS, addSample, bucketSeries } from './timeSeries'
+import { HEATMAP_COLUMNS, addColumn } from './heatmap'
+import { createAlertEvaluator } from './alerts'
+import { DEFAULT_PRESSURE, createPressureClassifier } from './pressure'
+import { STATS_WINDOWS, createRollingStats } from './rollingStats'
+import { createSignalEvaluator } from './signalQuality'
+
+// A symbol that needs more resyncs than this within the window is marked failed
+const MAX_RESYNCS = 5
+const RESYNC_WINDOW = 60000
+
+// Per-symbol backlog limit before the symbol is dropped and resynced
+const MAX_QUEUE_PER_SYMBOL = 500
+// How long the queue may be drained before yielding to incoming messages
+const PROCESS_BUDGET_MS = 8
+// Minimum gap between frames posted to the UI
+const FRAME_INTERVAL = 16
+// Book states retained per symbol for time travel, fewer for deep books: each one copies
+// the whole book, and WASM memory never shrinks. HISTORY_LEVELS caps snapshots × depth
+const HISTORY_SNAPSHOTS = 2000
+const HISTORY_LEVELS = 200000
+// How often the all-symbol overview is posted, and the history its sparklines cover
+const OVERVIEW_INTERVAL = 250
+const OVERVIEW_SERIES = { window: 60000, bucket: 1000 }
+// How long books wait for the instrument snapshot before going ahead with the precision they were given
+const INSTRUMENT_TIMEOUT = 3000
+// Pressure tier changes retained per symbol
+const PRESSURE_EVENTS = 500
+// How often the selected symbol's signal evaluation is posted
+const SIGNALS_INTERVAL = 1000
+// Picked models signal quality compares besides each kind's defaults; the oldest goes first
+const SIGNAL_PICKED_MODELS = 3
+
+const books = {}
+// Levels per book, and per subscription
+let depth = DEPTH
+// symbol -> [price, qty] decimals its book was created with
+const precisions = {}
+// symbol -> [price, qty] decimals last announced on the instrument channel
+const instruments = {}
+// Whether the source sends the instrument channel; replays and offline feeds don't
+let instrumentFeed = false
+// Until then, books the instrument channel hasn't described yet hold their messages
+// so the first snapshot is checked at the right precision
+let instrumentDeadline = 0
+let instrumentTimer = null
+// symbol -> queued { data, ts } messages
+let messageQueue = {}
+// symbol -> queued messages that arrived while its book was held for the instrument
+// snapshot; they sit at the front of the queue and don't count toward the overflow limit
+let heldMessages = {}
+let rotation = 0
+let processing = false
+const drops = {}
+// symbol -> { state, checksum, resyncs: [timestamps] }
+const sync = {}
+let selectedSymbol = null
+// symbol -> Map of history sequence -> receive time; the SDK snapshots carry no clock
+const historyTimes = {}
+// symbol -> rolling OFI; kept for every symbol so switching doesn't restart the windows
+const ofi = {}
+// symbol -> trade tape and CVD
+const trades = {}
+// symbol -> { bids, asks, stats, imbalance } of the last trustworthy book state
+let latest = {}
+// symbol -> ring buffer of one-second imbalance/CVD buckets, see timeSeries.js
+const samples = {}
+// symbol -> rolling imbalance statistics, fed by every book message
+const rolling = {}
+// Window the rolling statistics are reported over
+let statsWindow = STATS_WINDOWS[0].ms
+// symbol -> ring buffer of sampled book columns for the liquidity heatmap
+const heatmaps = {}
+// Receive time of the newest sample; history windows end here, so replays use recorded time
+let clock = 0
+// Window and bucket size of the selected symbol's history chart
+let seriesView = { window: 60000, bucket: 1000 }
+// Imbalance model config, see imbalance.js
+let imbalanceModel = DEFAULT_MODEL
+let modelLabel = describeModel(DEFAULT_MODEL)
+// label -> config of every model signal quality compares on the same samples: each
+// kind with its defaults, and every model picked since
+const signalModels = new Map(Object.keys(IMBALANCE_MODELS).map(kind => {
+  const model = modelConfig(kind)
+  return [describeModel(model), model]
+}))
+// symbol -> signal evaluator, see signalQuality.js
+let signals = {}
+// Alert rules are checked against every symbol, see alerts.js
+const alerts = createAlertEvaluator()
+// Pressure tier config, see pressure.js
+let pressureSettings = DEFAULT_PRESSURE
+// symbol -> { classifier, events: ring buffer of { time, from, to } tier changes }
+let pressure = {}
+
+// Whether the selected symbol has changed since the last frame was posted
+let framePending = false
+let tape = null
+// Heatmap columns for the selected symbol not yet posted; reset replaces what the UI holds
+let heatmapUpdate = null
+let frameTimer = null
+let overviewTimer = null
+let signalsTimer = null
+
+function post(message) {
+  self.postMessage(message)
+}
+
+function send(payload) {
+  post({ type: 'send', payload })
+}
+
+const symbolSeries = (symbol, view) => bucketSeries(samples[symbol]?.toArray() || [], { end: clock, ...view })
+
+// Everything the detail view draws for one symbol, empty until its book has synced
+function buildFrame(symbol) {
+  const state = latest[symbol]
+  return {
+    symbol,
+    bids: state?.bids || [],
+    asks: state?.asks || [],
+    stats: state?.stats || { bidVolume: 0, askVolume: 0, spread: 0, midPrice: 0 },
+    imbalance: state?.imbalance ?? 0,
+    series: symbolSeries(symbol, seriesView),
+    history: books[symbol] ? historyRange(symbol, books[symbol]) : null,
+    ofi: ofi[symbol]?.values(clock) || null,
+    pressure: pressureFrame(symbol),
+    rolling: rolling[symbol]?.summary(statsWindow, clock) || null,
+  }
+}
+
+// Current tier and the tier changes inside the history chart's window
+function pressureFrame(symbol) {
+  const state = pressure[symbol]
+  if (!state) return { tier: 0, events: [] }
+  const start = clock - seriesView.window
+  return { tier: state.classifier.tier, events: state.events.toArray().filter(({ time }) => time >= start) }
+}
+
+function scheduleFrame() {
+  if (frameTimer) return
+  frameTimer = setTimeout(() => {
+    frameTimer = null
+    if (framePending) post({ type: 'frame', ...buildFrame(selectedSymbol) })
+    if (tape) post({ type: 'tape', ...tape })
+    if (heatmapUpdate) post({ type: 'heatmap', ...heatmapUpdate })
+    framePending = false
+    tape = null
+    heatmapUpdate = null
+  }, FRAME_INTERVAL)
+}
+
+function scheduleOverview() {
+  if (overviewTimer) return
+  overviewTimer = setTimeout(() => {
+    overviewTimer = null
+    const symbols = {}
+    Object.entries(latest).forEach(([symbol, { stats, imbalance }]) => {
+      symbols[symbol] = {
+        imbalance: imbalance ?? 0,
+        spread: stats.spread,
+        midPrice: stats.midPrice,
+        samples: symbolSeries(symbol, OVERVIEW_SERIES).map(slot => slot.last),
+        rolling: rolling[symbol]?.summary(statsWindow, clock) || null,
+      }
+    })
+    post({ type: 'overview', symbols })
+    // A quiet selected symbol still gets frames, so its windows move on with the clock
+    if (latest[selectedSymbol]) {
+      framePending = true
+      scheduleFrame()
+    }
+  }, OVERVIEW_INTERVAL)
+}
+
+function scheduleSignals() {
+  if (signalsTimer) return
+  signalsTimer = setTimeout(() => {
+    signalsTimer = null
+    const models = (signals[selectedSymbol]?.summary(modelLabel) || [])
+      .map(entry => ({ ...entry, current: entry.model === modelLabel }))
+    post({ type: 'signals', symbol: selectedSymbol, models })
+  }, SIGNALS_INTERVAL)
+}
+
+function updateSyncState(symbol, state, checksum) {
+  const entry = sync[symbol] ||= { state: null, checksum: 0, resyncs: [] }
+  if (checksum !== undefined) entry.checksum = checksum
+  if (entry.state === state) return
+  entry.state = state
+  post({ type: 'sync', symbol, state, checksum: entry.checksum })
+}
+
+// Empty a symbol's book and everything chained to its last state
+function dropBook(symbol) {
+  books[symbol]?.reset()
+  historyTimes[symbol]?.clear()
+  ofi[symbol]?.breakChain()
+  signals[symbol]?.interrupt()
+  alerts.interrupt(symbol)
+  delete latest[symbol]
+  messageQueue[symbol] = []
+  delete heldMessages[symbol]
+  if (symbol === selectedSymbol) framePending = false
+}
+
+// Ask for a fresh snapshot of a healthy book, e.g. so a recording starts with one.
+// Not a failure: no resync alert, and it doesn't count toward MAX_RESYNCS
+function resubscribeSymbol(symbol) {
+  dropBook(symbol)
+  updateSyncState(symbol, 'resyncing')
+  send({ method: 'unsubscribe', params: { channel: 'book', symbol: [symbol], depth } })
+  send({ method: 'subscribe', params: { channel: 'book', symbol: [symbol], depth } })
+}
+
+// Throw away a symbol's book and ask Kraken for a fresh snapshot
+function resyncSymbol(symbol, reason) {
+  const entry = sync[symbol] ||= { state: null, checksum: 0, resyncs: [] }
+  const now = Date.now()
+  entry.resyncs = entry.resyncs.filter(t => now - t < RESYNC_WINDOW)
+
+  dropBook(symbol)
+  alerts.event('resync', symbol, now, reason).forEach(alert => post({ type: 'alert', alert }))
+
+  send({ method: 'unsubscribe', params: { channel: 'book', symbol: [symbol], depth } })
+
+  if (entry.resyncs.length >= MAX_RESYNCS) {
+    console.error('[HAVFLOW]', symbol, 'failed to resync:', reason)
+    updateSyncState(symbol, 'failed')
+    return
+  }
+
+  console.warn('[HAVFLOW] Resyncing', symbol + ':', reason)
+  entry.resyncs.push(now)
+  updateSyncState(symbol, 'resyncing')
+  send({ method: 'subscribe', params: { channel: 'book', symbol: [symbol], depth } })
+}
+
+// apply_and_get bypasses the SDK's history buffer, so apply through apply_message
+// and read the state back, stamping the new history entry with its receive time
+function applyAndRecord(symbol, book, data, ts) {
+  const msgType = book.apply_message(data)
+  if (msgType !== 'update' && msgType !== 'snapshot') return { msg_type: msgType }
+
+  const times = historyTimes[symbol] ||= new Map()
+  const latest = Number(book.get_latest_sequence())
+  times.set(latest, ts)
+  const oldest = latest - book.get_history_length() + 1
+  for (const sequence of times.keys()) {
+    if (sequence >= oldest) break
+    times.delete(sequence)
+  }
+
+  return {
+    msg_type: msgType,
+    bids: book.get_top_bids(depth),
+    asks: book.get_top_asks(depth),
+    spread: book.get_spread(),
+    mid_price: book.get_mid_price(),
+  }
+}
+
+// Retained history range for a symbol, by SDK sequence number
+function historyRange(symbol, book) {
+  const length = book.get_history_length()
+  if (length === 0) return null
+  const last = Number(book.get_latest_sequence())
+  const first = last - length + 1
+  const times = historyTimes[symbol]
+  return { first, last, firstTime: times?.get(first), lastTime: times?.get(last) }
+}
+
+function postSnapshot(symbol, sequence) {
+  const book = books[symbol]
+  const range = book && historyRange(symbol, book)
+  const snapshot = range && sequence >= range.first && sequence <= range.last
+    ? book.get_snapshot_at(sequence - range.first)
+    : null
+  if (!snapshot) {
+    post({ type: 'snapshot', symbol, sequence, missing: true })
+    return
+  }
+
+  const bids = snapshot.bids || []
+  const asks = snapshot.asks || []
+  const { spread, midPrice } = touch(bids, asks)
+  const { stats, imbalance } = bookMetrics(bids, asks, spread, midPrice, imbalanceModel)
+  post({
+    type: 'snapshot',
+    symbol,
+    sequence,
+    time: historyTimes[symbol]?.get(sequence),
+    bids,
+    asks,
+    stats,
+    imbalance: imbalance ?? 0,
+  })
+}
+
+// Apply one book message and update the symbol's metrics and history
+function applyMessage(symbol, data, ts) {
+  const book = books[symbol]
+  if (!book) return
+
+  try {
+    const result = applyAndRecord(symbol, book, data, ts)
+
+    if (book.is_synced()) {
+      updateSyncState(symbol, 'synced', book.get_checksum())
+    } else if (book.get_state() === 'desynchronized') {
+      resyncSymbol(symbol, 'book desynchronized')
+      return
+    }
+
+    // Only trustworthy book states feed OFI, metrics and history
+    if (result && (result.msg_type === 'update' || result.msg_type === 'snapshot') && book.is_synced()) {
+      const topBids = result.bids || []
+      const topAsks = result.asks || []
+      const flow = ofi[symbol] ||= createOfiTracker()
+      flow.update(topBids, topAsks, ts, result.msg_type === 'snapshot')
+      const metrics = bookMetrics(topBids, topAsks, result.spread, result.mid_price, imbalanceModel)
+
+      latest[symbol] = {
+        bids: topBids,
+        asks: topAsks,
+        stats: metrics.stats,
+        imbalance: metrics.imbalance ?? latest[symbol]?.imbalance ?? 0,
+      }
+      // CVD is sampled alongside imbalance so both histories share one axis
+      if (metrics.imbalance !== null) {
+        const state = pressure[symbol] ||= {
+          classifier: createPressureClassifier(pressureSettings),
+          events: createRingBuffer(PRESSURE_EVENTS),
+        }
+        const change = state.classifier.update(metrics.imbalance, ts)
+        if (change) state.events.push(change)
+        const regime = rolling[symbol] ||= createRollingStats()
+        regime.add(ts, metrics.imbalance)
+
+        const buffer = samples[symbol] ||= createRingBuffer(BASE_BUCKETS)
+        addSample(buffer, ts, metrics.imbalance, trades[symbol]?.cvd ?? 0)
+        clock = Math.max(clock, ts)
+      }
+      const evaluator = signals[symbol] ||= createSignalEvaluator(pressureSettings)
+      evaluator.update(ts, result.mid_price, () => {
+        const imbalances = {}
+        signalModels.forEach((model, label) => {
+          imbalances[label] = computeImbalance(model, topBids, topAsks, result.mid_price)
+        })
+        return imbalances
+      })
+
+      alerts.check(symbol, latest[symbol], ts).forEach(alert => post({ type: 'alert', alert }))
+      const column = addColumn(heatmaps[symbol] ||= createRingBuffer(HEATMAP_COLUMNS), ts, topBids, topAsks)
+
+      scheduleOverview()
+      if (symbol === selectedSymbol) {
+        if (column) (heatmapUpdate ||= { symbol, columns: [], reset: false }).columns.push(column)
+        framePending = true
+        scheduleFrame()
+        scheduleSignals()
+      }
+    }
+  } catch (e) {
+    const message = String(e)
+    if (message.includes('Checksum mismatch')) {
+      resyncSymbol(symbol, message)
+    } else {
+      console.warn('[HAVFLOW] Failed to apply', symbol, 'message:', message)
+    }
+  }
+}
+
+// Take the next message, rotating across symbols so a busy pair can't starve the rest
+function takeNextMessage() {
+  const symbols = Object.keys(messageQueue)
+  for (let i = 0; i < symbols.length; i++) {
+    const symbol = symbols[(rotation + i) % symbols.length]
+    const queue = messageQueue[symbol]
+    if (queue.length > 0 && !awaitingInstrument(symbol)) {
+      rotation = (rotation + i + 1) % symbols.length
+      if (heldMessages[symbol]) heldMessages[symbol]--
+      return { symbol, ...queue.shift() }
+    }
+  }
+  return null
+}
+
+// Process messages sequentially, yielding once the time budget is used up so
+// incoming messages can be queued and overflow detected
+function processNextMessage() {
+  if (processing) return
+
+  processing = true
+  const started = performance.now()
+  let pending = true
+
+  try {
+    while (performance.now() - started < PROCESS_BUDGET_MS) {
+      const next = takeNextMessage()
+      if (!next) {
+        pending = false
+        break
+      }
+      applyMessage(next.symbol, next.data, next.ts)
+    }
+  } finally {
+    processing = false
+    if (pending) setTimeout(processNextMessage, 0)
+  }
+}
+
+function queueMessage(symbol, data, ts) {
+  const queue = messageQueue[symbol] ||= []
+  queue.push({ data, ts })
+  if (awaitingInstrument(symbol)) heldMessages[symbol] = (heldMessages[symbol] || 0) + 1
+
+  // Dropping any part of an incremental feed corrupts the book, so an overflowing
+  // symbol loses its whole backlog and is rebuilt from a fresh snapshot
+  if (queue.length - (heldMessages[symbol] || 0) > MAX_QUEUE_PER_SYMBOL) {
+    const dropped = queue.length
+    drops[symbol] = (drops[symbol] || 0) + dropped
+    post({ type: 'drops', drops: { ...drops } })
+    resyncSymbol(symbol, `queue overflow, dropped ${dropped} messages`)
+    return
+  }
+  processNextMessage()
+}
+
+// Send the selected symbol's whole heatmap, replacing whatever the UI has
+function queueHeatmap(symbol) {
+  heatmapUpdate = { symbol, columns: heatmaps[symbol]?.toArray() || [], reset: true }
+  scheduleFrame()
+}
+
+// Queue a trade tape update for the selected symbol
+function queueTape(symbol) {
+  if (symbol !== selectedSymbol) return
+  const tracker = trades[symbol]
+  tape = { symbol, tape: tracker?.tape || [], cvd: tracker?.cvd ?? 0 }
+  scheduleFrame()
+}
+
+function applyTrades(msg) {
+  const bySymbol = {}
+  for (const trade of msg.data || []) (bySymbol[trade.symbol] ||= []).push(trade)
+  Object.entries(bySymbol).forEach(([symbol, list]) => {
+    const tracker = trades[symbol] ||= createTradeTracker()
+    tracker.add(list, msg.type === 'snapshot')
+    queueTape(symbol)
+  })
+}
+
+const awaitingInstrument = (symbol) => !instruments[symbol] && Date.now() < instrumentDeadline
+
+// Hold books back until the instrument snapshot arrives, or give up waiting after a while.
+// Sources without the instrument channel go ahead with the precision they were given
+function waitForInstruments() {
+  clearTimeout(instrumentTimer)
+  instrumentTimer = null
+  instrumentDeadline = 0
+  if (!instrumentFeed) return
+  instrumentDeadline = Date.now() + INSTRUMENT_TIMEOUT
+  instrumentTimer = setTimeout(releaseInstruments, INSTRUMENT_TIMEOUT)
+}
+
+function releaseInstruments() {
+  clearTimeout(instrumentTimer)
+  instrumentTimer = null
+  instrumentDeadline = 0
+  Object.keys(books)
+    .filter(symbol => !instruments[symbol])
+    .forEach(symbol => console.warn('[HAVFLOW] No instrument info for', symbol + ', using precision', precisions[symbol].join('/')))
+  processNextMessage()
+}
+
+// Instrument precision replaces whatever the book was created with. A book still
+// waiting for its first snapshot just takes it; one that has been fed resyncs, and
+// a change to a precision already in use is reported, as checksums depend on it
+function applyInstruments(msg) {
+  for (const { symbol, price_precision, qty_precision } of msg.data?.pairs || []) {
+    if (price_precision === undefined || qty_precision === undefined) continue
+    const precision = [price_precision, qty_precision]
+    const waiting = awaitingInstrument(symbol)
+    const announced = instruments[symbol]
+    instruments[symbol] = precision
+    const current = precisions[symbol]
+    if (!books[symbol] || current.join() === precision.join()) continue
+
+    if (waiting) {
+      precisions[symbol] = precision
+      books[symbol].set_precision(precision[0], precision[1])
+      continue
+    }
+    if (announced || sync[symbol]?.state === 'synced') {
+      console.warn('[HAVFLOW] Instrument precision of', symbol, 'changed from', current.join('/'), 'to', precision.join('/'))
+      post({ type: 'precision', symbol, from: current, to: precision })
+    }
+    watchSymbol(symbol, precision)
+  }
+  if (msg.type === 'snapshot' && instrumentDeadline) releaseInstruments()
+}
+
+// Book messages go to onBook(symbol) as the raw string is what the SDK applies;
+// trades and instruments are cheap and need no book, so they are applied straight away
+function routeMessage(data, onBook) {
+  let msg
+  try {
+    msg = JSON.parse(data)
+  } catch (e) {
+    return
+  }
+  if (msg.channel === 'book') {
+    const symbol = msg.data?.[0]?.symbol
+    if (symbol) onBook(symbol)
+  } else if (msg.channel === 'trade') {
+    applyTrades(msg)
+  } else if (msg.channel === 'instrument') {
+    applyInstruments(msg)
+  }
+}
+
+// Route a raw socket message; only book channel data reaches the queue
+function handleRaw(data, ts) {
+  routeMessage(data, symbol => {
+    if (books[symbol]) queueMessage(symbol, data, ts)
+  })
+}
+
+// Apply a run of messages straight away, in order, e.g. to fast-forward a replay
+// after a seek; they bypass the queue so a long run can't trip the overflow resync
+function handleBatch(messages) {
+  messages.forEach(({ data, ts }) => {
+    routeMessage(data, symbol => applyMessage(symbol, data, ts))
+  })
+}
+
+// Start every book over, e.g. after the socket reconnected
+function resetAll() {
+  messageQueue = {}
+  heldMessages = {}
+  waitForInstruments()
+  framePending = false
+  tape = null
+  latest = {}
+  Object.values(samples).forEach(buffer => buffer.clear())
+  Object.values(heatmaps).forEach(buffer => buffer.clear())
+  pressure = {}
+  Object.values(rolling).forEach(regime => regime.reset())
+  Object.values(signals).forEach(evaluator => evaluator.interrupt())
+  if (selectedSymbol) queueHeatmap(selectedSymbol)
+  clock = 0
+  scheduleOverview()
+  Object.values(books).forEach(book => book.reset())
+  Object.values(historyTimes).forEach(times => times.clear())
+  Object.values(ofi).forEach(flow => flow.reset())
+  Object.values(trades).forEach(tracker => tracker.reset())
+  Object.keys(books).forEach(sym => {
+    alerts.interrupt(sym)
+    if (sync[sym]) sync[sym].resyncs = []
+    updateSyncState(sym, 'resyncing')
+  })
+}
+
+// Create orderbooks for all symbols with correct precision
+function createBook(symbol) {
+  const book = WasmOrderbook.with_depth(symbol, depth)
+  const [pricePrecision, qtyPrecision] = precisions[symbol]
+  book.set_precision(pricePrecision, qtyPrecision)
+  book.enable_history(Math.min(HISTORY_SNAPSHOTS, Math.floor(HISTORY_LEVELS / depth)))
+  books[symbol] = book
+}
+
+function freeBook(symbol) {
+  try { books[symbol]?.free() } catch (e) {}
+  delete books[symbol]
+}
+
+// Start tracking a symbol, or re-apply its precision if it is already tracked.
+// The instrument channel's precision wins over the one passed in
+function watchSymbol(symbol, requested) {
+  const precision = instruments[symbol] || requested
+  const changed = precisions[symbol] && precisions[symbol].join() !== precision.join()
+  precisions[symbol] = precision
+  if (!books[symbol]) {
+    createBook(symbol)
+    updateSyncState(symbol, 'resyncing')
+  } else if (changed) {
+    books[symbol].set_precision(precision[0], precision[1])
+    resyncSymbol(symbol, `precision changed to ${precision.join('/')}`)
+  }
+}
+
+// Stop tracking a symbol and drop everything kept for it
+function unwatchSymbol(symbol) {
+  freeBook(symbol)
+  const perSymbol = [precisions, messageQueue, heldMessages, sync, drops, historyTimes, ofi, trades, latest, samples, heatmaps, pressure, rolling, signals]
+  perSymbol.forEach(state => delete state[symbol])
+  post({ type: 'drops', drops: { ...drops } })
+  scheduleOverview()
+}
+
+// Replace every book with a fresh instance, e.g. when switching between live and replay
+function rebuildAll() {
+  Object.keys(books).forEach(symbol => {
+    freeBook(symbol)
+    createBook(symbol)
+  })
+  resetAll()
+  // Evaluations belong to one feed and depth; a seek within a replay only interrupts them
+  signals = {}
+  scheduleSignals()
+  Object.keys(drops).forEach(symbol => delete drops[symbol])
+  post({ type: 'drops', drops: {} })
+}
+
+async function init(symbols, initialDepth) {
+  console.log('[HAVFLOW] Initializing Havklo SDK...')
+  await initWasm()
+  console.log('[HAVFLOW] SDK ready')
+
+  depth = initialDepth || DEPTH
+
+  symbols.forEach(({ symbol, precision }) => watchSymbol(symbol, precision))
+  post({ type: 'ready' })
+}
+
+self.onmessage = ({ data: message }) => {
+  switch (message.type) {
+    case 'init':
+      init(message.symbols, message.depth)
+      break
+    case 'watch':
+      watchSymbol(message.symbol, message.precision)
+      break
+    case 'unwatch':
+      unwatchSymbol(message.symbol)
+      break
+    case 'raw':
+      handleRaw(message.data, message.ts)
+      break
+    case 'batch':
+      handleBatch(message.messages)
+      break
+    case 'select':
+      // Send the new symbol's retained state straight away
+      selectedSymbol = message.symbol
+      framePending = true
+      queueTape(selectedSymbol)
+      queueHeatmap(selectedSymbol)
+      scheduleSignals()
+      break
+    case 'reset':
+      resetAll()
+      break
+    case 'rebuild':
+      instrumentFeed = Boolean(message.instruments)
+      if (message.depth) depth = message.depth
+      rebuildAll()
+      break
+    case 'depth':
+      // Books can't change depth in place; the source resubscribes at the new depth
+      depth = message.depth
+      rebuildAll()
+      break
+    case 'resubscribe':
+      Object.keys(books).forEach(symbol => resubscribeSymbol(symbol))
+      break
+    case 'retry':
+      if (sync[message.symbol]) sync[message.symbol].resyncs = []
+      resyncSymbol(message.symbol, 'manual retry')
+      break
+    case 'snapshot':
+      postSnapshot(message.symbol, message.sequence)
+      break
+    case 'model':
+      if (describeModel(message.model) === modelLabel) break
+      // Samples, tiers and rolling stats under the old model don't compare with new ones
+      imbalanceModel = message.model
+      modelLabel = describeModel(imbalanceModel)
+      // Signal quality compares it with the others from here on
+      if (!signalModels.has(modelLabel)) {
+        signalModels.set(modelLabel, imbalanceModel)
+        const picked = [...signalModels.keys()].slice(Object.keys(IMBALANCE_MODELS).length)
+        picked.slice(0, -SIGNAL_PICKED_MODELS).forEach(label => {
+          signalModels.delete(label)
+          Object.values(signals).forEach(evaluator => evaluator.forget(label))
+        })
+      }
+      Object.values(samples).forEach(buffer => buffer.clear())
+      Object.values(rolling).forEach(regime => regime.reset())
+      pressure = {}
+      framePending = true
+      scheduleFrame()
+      scheduleOverview()
+      scheduleSignals()
+      break
+    case 'pressure':
+      // Classification starts over under the new tiers, and hit rates per tier with it
+      pressureSettings = message.config
+      pressure = {}
+      Object.values(signals).forEach(evaluator => evaluator.setPressure(pressureSettings))
+      framePending = true
+      scheduleFrame()
+      scheduleSignals()
+      break
+    case 'stats':
+      statsWindow = message.window
+      framePending = true
+      scheduleFrame()
+      scheduleOverview()
+      break
+    case 'clearSignals':
+      delete signals[message.symbol]
+      scheduleSignals()
+      break
+    case 'alerts':
+      alerts.setRules(message.rules)
+      break
+    case 'series':
+      seriesView = { window: message.window, bucket: message.bucket }
+      framePending = true
+      scheduleFrame()
+      break
+  }
+}
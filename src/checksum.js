@@ -0,0 +1,32 @@
+// Kraken v2 book checksum: CRC32 over the top 10 asks (ascending) then the top 10
+// bids (descending), each level written as price then qty with the decimal point
+// and leading zeros removed.
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1
+  return c >>> 0
+})
+
+export function crc32(text) {
+  let crc = 0xFFFFFFFF
+  for (let i = 0; i < text.length; i++) {
+    crc = CRC_TABLE[(crc ^ text.charCodeAt(i)) & 0xFF] ^ (crc >>> 8)
+  }
+  return (crc ^ 0xFFFFFFFF) >>> 0
+}
+
+function formatLevel(value, precision) {
+  return value.toFixed(precision).replace('.', '').replace(/^0+/, '')
+}
+
+export function bookChecksum(bids, asks, pricePrecision, qtyPrecision) {
+  let text = ''
+  asks.slice(0, 10).forEach(({ price, qty }) => {
+    text += formatLevel(price, pricePrecision) + formatLevel(qty, qtyPrecision)
+  })
+  bids.slice(0, 10).forEach(({ price, qty }) => {
+    text += formatLevel(price, pricePrecision) + formatLevel(qty, qtyPrecision)
+  })
+  return crc32(text)
+}
@@ -0,0 +1,228 @@
+import { useState } from 'react'
+import { ALERT_KINDS, ALERT_OPS, alertRule, describeRule } from '../alerts'
+import { notificationPermission, requestNotifications } from '../notifications'
+
+const formatTime = (time) => new Date(time).toLocaleTimeString([], { hour12: false })
+
+// Rule editor, the rules in force and the log of alerts they fired
+export default function AlertPanel({ rules, log, symbols, onChange, onClearLog }) {
+  const [draft, setDraft] = useState(() => alertRule('imbalance'))
+  // Threshold as typed; only a finite value in the kind's range reaches the draft
+  const [thresholdText, setThresholdText] = useState(null)
+  const [permission, setPermission] = useState(notificationPermission)
+  const spec = ALERT_KINDS[draft.kind]
+
+  const update = (fields) => setDraft({ ...draft, ...fields })
+
+  const changeKind = (kind) => {
+    setThresholdText(null)
+    setDraft(alertRule(kind, { id: draft.id, symbol: draft.symbol, sound: draft.sound }))
+  }
+
+  const changeThreshold = (text) => {
+    setThresholdText(text)
+    const { min, max } = spec.threshold
+    const threshold = Number(text)
+    if (text.trim() !== '' && Number.isFinite(threshold) && threshold >= min && threshold <= max) update({ threshold })
+  }
+
+  const addRule = () => {
+    const { min, max } = spec.threshold || {}
+    const threshold = spec.threshold ? Math.min(max, Math.max(min, draft.threshold)) : draft.threshold
+    onChange([...rules, { ...draft, threshold }])
+    setThresholdText(null)
+    setDraft(alertRule(draft.kind, { symbol: draft.symbol, sound: draft.sound }))
+  }
+
+  const patchRule = (id, fields) => onChange(rules.map(rule => (rule.id === id ? { ...rule, ...fields } : rule)))
+
+  const enableNotifications = async () => setPermission(await requestNotifications())
+
+  return (
+    <div style={styles.container}>
+      <div style={styles.header}>
+        <h3 style={styles.title}>ALERTS</h3>
+        {permission === 'granted' && <span style={styles.meta}>notifications on</span>}
+        {permission === 'default' && (
+          <button style={styles.button} onClick={enableNotifications}>ENABLE NOTIFICATIONS</button>
+        )}
+        {(permission === 'denied' || permission === 'unsupported') && (
+          <span style={styles.meta}>notifications {permission}; alerts show in the log only</span>
+        )}
+      </div>
+
+      <div style={styles.editor}>
+        <select style={styles.input} value={draft.kind} onChange={(e) => changeKind(e.target.value)}>
+          {Object.entries(ALERT_KINDS).map(([kind, { label }]) => (
+            <option key={kind} value={kind}>{label}</option>
+          ))}
+        </select>
+        {!spec.event && (
+          <>
+            <select style={styles.input} value={draft.op} onChange={(e) => update({ op: e.target.value })}>
+              {Object.keys(ALERT_OPS).map(op => <option key={op} value={op}>{op}</option>)}
+            </select>
+            <input
+              style={{ ...styles.input, width: '70px' }}
+              type="number"
+              min={spec.threshold.min}
+              max={spec.threshold.max}
+              step={spec.threshold.step}
+              value={thresholdText ?? draft.threshold}
+              onChange={(e) => changeThreshold(e.target.value)}
+              onBlur={() => setThresholdText(null)}
+            />
+            {spec.unit && <span style={styles.meta}>{spec.unit}</span>}
+            <span style={styles.meta}>for</span>
+            <input
+              style={{ ...styles.input, width: '50px' }}
+              type="number"
+              min="0"
+              step="1"
+              value={draft.duration / 1000}
+              onChange={(e) => update({ duration: Math.max(0, Number(e.target.value)) * 1000 })}
+            />
+            <span style={styles.meta}>s</span>
+          </>
+        )}
+        <span style={styles.meta}>on</span>
+        <select style={styles.input} value={draft.symbol} onChange={(e) => update({ symbol: e.target.value })}>
+          <option value="*">any symbol</option>
+          {symbols.map(symbol => <option key={symbol} value={symbol}>{symbol}</option>)}
+        </select>
+        <span style={styles.meta}>cooldown</span>
+        <input
+          style={{ ...styles.input, width: '50px' }}
+          type="number"
+          min="0"
+          step="1"
+          value={draft.cooldown / 1000}
+          onChange={(e) => update({ cooldown: Math.max(0, Number(e.target.value)) * 1000 })}
+        />
+        <span style={styles.meta}>s</span>
+        <label style={styles.meta}>
+          <input type="checkbox" checked={draft.sound} onChange={(e) => update({ sound: e.target.checked })} /> sound
+        </label>
+        <button style={styles.button} onClick={addRule}>+ ADD</button>
+      </div>
+
+      {rules.length === 0 ? (
+        <div style={styles.empty}>No alert rules</div>
+      ) : rules.map(rule => (
+        <div key={rule.id} style={styles.row}>
+          <input
+            type="checkbox"
+            checked={rule.enabled}
+            onChange={(e) => patchRule(rule.id, { enabled: e.target.checked })}
+            title="Enabled"
+          />
+          <span style={{ ...styles.rule, color: rule.enabled ? '#b3b1ad' : '#666' }}>{describeRule(rule)}</span>
+          <span style={styles.meta}>cooldown {rule.cooldown / 1000}s{rule.sound ? ' · sound' : ''}</span>
+          <button style={styles.button} onClick={() => onChange(rules.filter(({ id }) => id !== rule.id))}>DELETE</button>
+        </div>
+      ))}
+
+      <div style={styles.logHeader}>
+        <span>LOG</span>
+        {log.length > 0 && <button style={styles.button} onClick={onClearLog}>CLEAR</button>}
+      </div>
+      <div style={styles.log}>
+        {log.length === 0 && <div style={styles.empty}>Nothing fired yet</div>}
+        {log.map(alert => (
+          <div key={alert.id} style={styles.logRow}>
+            <span style={styles.meta}>{formatTime(alert.time)}</span>
+            <span style={{ color: '#FFD700' }}>{alert.symbol}</span>
+            <span>{alert.message}</span>
+          </div>
+        ))}
+      </div>
+    </div>
+  )
+}
+
+const styles = {
+  container: {
+    background: '#12171f',
+    borderRadius: '8px',
+    padding: '20px',
+    border: '1px solid #2a2e38',
+  },
+  header: {
+    display: 'flex',
+    alignItems: 'center',
+    gap: '8px',
+    marginBottom: '12px',
+  },
+  title: {
+    color: '#00D9FF',
+    fontSize: '12px',
+    letterSpacing: '2px',
+    margin: 0,
+    flex: 1,
+  },
+  editor: {
+    display: 'flex',
+    flexWrap: 'wrap',
+    alignItems: 'center',
+    gap: '6px',
+    marginBottom: '12px',
+  },
+  input: {
+    padding: '4px 6px',
+    background: '#1a1f29',
+    color: '#b3b1ad',
+    border: '1px solid #2a2e38',
+    borderRadius: '4px',
+    fontSize: '11px',
+    fontFamily: "'SF Mono', monospace",
+  },
+  button: {
+    padding: '4px 10px',
+    border: '1px solid #2a2e38',
+    borderRadius: '4px',
+    background: 'transparent',
+    color: '#b3b1ad',
+    cursor: 'pointer',
+    fontSize: '11px',
+    fontWeight: 'bold',
+    fontFamily: "'SF Mono', monospace",
+  },
+  meta: {
+    color: '#666',
+    fontSize: '11px',
+  },
+  empty: {
+    color: '#666',
+    fontSize: '12px',
+  },
+  row: {
+    display: 'flex',
+    alignItems: 'center',
+    gap: '12px',
+    padding: '6px 0',
+    fontSize: '12px',
+    borderTop: '1px solid #1a1f29',
+  },
+  rule: {
+    flex: 1,
+  },
+  logHeader: {
+    display: 'flex',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    margin: '16px 0 8px',
+    color: '#666',
+    fontSize: '11px',
+    letterSpacing: '2px',
+  },
+  log: {
+    maxHeight: '200px',
+    overflowY: 'auto',
+  },
+  logRow: {
+    display: 'flex',
+    gap: '12px',
+    padding: '4px 0',
+    fontSize: '12px',
+  },
+}
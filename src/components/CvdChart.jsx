@@ -0,0 +1,68 @@
+// Cumulative volume delta, one point per imbalance history slot so the two charts
+// line up; null slots (before any data) are left out
+export default function CvdChart({ history, cvd, slots, unit }) {
+  const values = history.filter(value => value !== null)
+  const min = Math.min(0, ...values)
+  const max = Math.max(0, ...values)
+  const range = max - min || 1
+  const y = (value) => 100 - ((value - min) / range) * 100
+  const points = history
+    .map((value, i) => (value === null ? null : `${i + 0.5},${y(value)}`))
+    .filter(Boolean)
+    .join(' ')
+
+  return (
+    <div style={styles.container}>
+      <div style={styles.header}>
+        <span>CUMULATIVE VOLUME DELTA</span>
+        <span style={{ color: cvd >= 0 ? '#00FF88' : '#FF4444' }}>
+          {cvd >= 0 ? '+' : ''}{cvd.toFixed(4)} {unit}
+        </span>
+      </div>
+      <svg style={styles.chart} viewBox={`0 0 ${slots} 100`} preserveAspectRatio="none">
+        <line x1="0" x2={slots} y1={y(0)} y2={y(0)} stroke="#2a2e38" strokeWidth="1" vectorEffect="non-scaling-stroke" />
+        {values.length > 1 && (
+          <polyline
+            points={points}
+            fill="none"
+            stroke={cvd >= 0 ? '#00FF88' : '#FF4444'}
+            strokeWidth="1.5"
+            vectorEffect="non-scaling-stroke"
+          />
+        )}
+      </svg>
+      <div style={styles.scale}>
+        <span>{min.toFixed(2)}</span>
+        <span>{max.toFixed(2)}</span>
+      </div>
+    </div>
+  )
+}
+
+const styles = {
+  container: {
+    marginTop: '15px',
+  },
+  header: {
+    display: 'flex',
+    justifyContent: 'space-between',
+    fontSize: '11px',
+    color: '#666',
+    letterSpacing: '1px',
+    marginBottom: '5px',
+  },
+  chart: {
+    display: 'block',
+    width: '100%',
+    height: '60px',
+    background: '#1a1f29',
+    borderRadius: '4px',
+  },
+  scale: {
+    display: 'flex',
+    justifyContent: 'space-between',
+    fontSize: '10px',
+    color: '#666',
+    marginTop: '5px',
+  },
+}
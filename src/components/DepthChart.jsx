@@ -0,0 +1,236 @@
+import { useEffect, useRef, useState } from 'react'
+
+const HEIGHT = 260
+const PAD = { top: 12, right: 8, bottom: 20, left: 8 }
+
+// Running totals from the touch outwards
+function cumulate(levels) {
+  let cumQty = 0
+  let cumNotional = 0
+  return levels.map(({ price, qty }) => {
+    cumQty += qty
+    cumNotional += price * qty
+    return { price, cumQty, cumNotional }
+  })
+}
+
+// Deepest level still between the touch and price, or null when price is inside the spread
+function levelAt(steps, price, side) {
+  let found = null
+  for (const step of steps) {
+    if (side === 'bids' ? step.price < price : step.price > price) break
+    found = step
+  }
+  return found
+}
+
+// Shared scales for both sides: price across the whole book, cumulative qty up to the larger side
+function layout(bidSteps, askSteps, width) {
+  const minPrice = bidSteps.length ? bidSteps[bidSteps.length - 1].price : askSteps[0].price
+  const maxPrice = askSteps.length ? askSteps[askSteps.length - 1].price : bidSteps[0].price
+  const maxQty = Math.max(bidSteps.at(-1)?.cumQty || 0, askSteps.at(-1)?.cumQty || 0) || 1
+  const priceRange = maxPrice - minPrice || 1
+  const plotWidth = width - PAD.left - PAD.right
+  const plotHeight = HEIGHT - PAD.top - PAD.bottom
+  return {
+    minPrice,
+    maxPrice,
+    x: (price) => PAD.left + ((price - minPrice) / priceRange) * plotWidth,
+    y: (qty) => PAD.top + plotHeight - (qty / maxQty) * plotHeight,
+    price: (x) => minPrice + ((x - PAD.left) / plotWidth) * priceRange,
+  }
+}
+
+function drawSide(ctx, steps, scale, edge, color) {
+  if (steps.length === 0) return
+  const floor = scale.y(0)
+  ctx.beginPath()
+  ctx.moveTo(scale.x(steps[0].price), floor)
+  let previous = 0
+  steps.forEach(({ price, cumQty }) => {
+    ctx.lineTo(scale.x(price), scale.y(previous))
+    ctx.lineTo(scale.x(price), scale.y(cumQty))
+    previous = cumQty
+  })
+  ctx.lineTo(scale.x(edge), scale.y(previous))
+  ctx.lineTo(scale.x(edge), floor)
+  ctx.closePath()
+  ctx.fillStyle = `${color}33`
+  ctx.fill()
+  ctx.strokeStyle = color
+  ctx.lineWidth = 1.5
+  ctx.stroke()
+}
+
+// Cumulative depth ("mountain") chart of the whole book on one shared scale,
+// with the mid price marked and a crosshair reading off cumulative qty and notional
+export default function DepthChart({ bids, asks, midPrice, quote }) {
+  const containerRef = useRef(null)
+  const canvasRef = useRef(null)
+  const [width, setWidth] = useState(0)
+  const [hoverX, setHoverX] = useState(null)
+
+  useEffect(() => {
+    const container = containerRef.current
+    const observer = new ResizeObserver(([entry]) => setWidth(Math.floor(entry.contentRect.width)))
+    observer.observe(container)
+    return () => observer.disconnect()
+  }, [])
+
+  const bidSteps = cumulate(bids)
+  const askSteps = cumulate(asks)
+  const empty = bidSteps.length === 0 && askSteps.length === 0
+  const scale = !empty && width > 0 ? layout(bidSteps, askSteps, width) : null
+
+  let hover = null
+  if (scale && hoverX !== null) {
+    const price = scale.price(hoverX)
+    const side = price <= midPrice ? 'bids' : 'asks'
+    const level = levelAt(side === 'bids' ? bidSteps : askSteps, price, side)
+    hover = { price, side, level }
+  }
+
+  useEffect(() => {
+    const canvas = canvasRef.current
+    if (!canvas || width === 0) return
+    const ratio = window.devicePixelRatio || 1
+    canvas.width = width * ratio
+    canvas.height = HEIGHT * ratio
+    const ctx = canvas.getContext('2d')
+    ctx.setTransform(ratio, 0, 0, ratio, 0, 0)
+    ctx.clearRect(0, 0, width, HEIGHT)
+    if (!scale) return
+
+    drawSide(ctx, bidSteps, scale, scale.minPrice, '#00FF88')
+    drawSide(ctx, askSteps, scale, scale.maxPrice, '#FF4444')
+
+    if (midPrice > 0) {
+      ctx.setLineDash([4, 4])
+      ctx.strokeStyle = '#FFD700'
+      ctx.lineWidth = 1
+      ctx.beginPath()
+      ctx.moveTo(scale.x(midPrice), PAD.top)
+      ctx.lineTo(scale.x(midPrice), scale.y(0))
+      ctx.stroke()
+      ctx.setLineDash([])
+    }
+
+    if (hover) {
+      ctx.strokeStyle = '#b3b1ad80'
+      ctx.lineWidth = 1
+      ctx.beginPath()
+      ctx.moveTo(hoverX, PAD.top)
+      ctx.lineTo(hoverX, scale.y(0))
+      if (hover.level) {
+        ctx.moveTo(PAD.left, scale.y(hover.level.cumQty))
+        ctx.lineTo(width - PAD.right, scale.y(hover.level.cumQty))
+      }
+      ctx.stroke()
+    }
+
+    ctx.fillStyle = '#666'
+    ctx.font = "10px 'SF Mono', monospace"
+    ctx.textBaseline = 'bottom'
+    ctx.textAlign = 'left'
+    ctx.fillText(scale.minPrice.toLocaleString(), PAD.left, HEIGHT)
+    ctx.textAlign = 'right'
+    ctx.fillText(scale.maxPrice.toLocaleString(), width - PAD.right, HEIGHT)
+    if (midPrice > 0) {
+      ctx.textAlign = 'center'
+      ctx.fillStyle = '#FFD700'
+      ctx.fillText(`MID ${midPrice.toLocaleString()}`, scale.x(midPrice), HEIGHT)
+    }
+  })
+
+  const handleMove = (e) => {
+    setHoverX(e.clientX - e.currentTarget.getBoundingClientRect().left)
+  }
+
+  return (
+    <div style={styles.container}>
+      <h3 style={styles.title}>
+        CUMULATIVE DEPTH <span style={styles.levels}>{bids.length} bids · {asks.length} asks</span>
+      </h3>
+      <div ref={containerRef} style={styles.plot}>
+        <canvas
+          ref={canvasRef}
+          style={{ ...styles.canvas, width: `${width}px` }}
+          onMouseMove={handleMove}
+          onMouseLeave={() => setHoverX(null)}
+        />
+        {empty && <div style={styles.empty}>Waiting for book…</div>}
+        {hover && (
+          <div style={{
+            ...styles.tooltip,
+            ...(hoverX > width / 2 ? { right: `${width - hoverX + 10}px` } : { left: `${hoverX + 10}px` }),
+          }}>
+            <div style={{ color: '#FFD700' }}>{hover.price.toLocaleString(undefined, { maximumFractionDigits: 8 })}</div>
+            {hover.level ? (
+              <>
+                <div style={{ color: hover.side === 'bids' ? '#00FF88' : '#FF4444' }}>
+                  {hover.side === 'bids' ? 'BIDS ≥ ' : 'ASKS ≤ '}{hover.level.price.toLocaleString()}
+                </div>
+                <div>QTY {hover.level.cumQty.toFixed(4)}</div>
+                <div>NOTIONAL {hover.level.cumNotional.toLocaleString(undefined, { maximumFractionDigits: 2 })} {quote}</div>
+              </>
+            ) : (
+              <div style={{ color: '#666' }}>inside the spread</div>
+            )}
+          </div>
+        )}
+      </div>
+    </div>
+  )
+}
+
+const styles = {
+  container: {
+    background: '#12171f',
+    borderRadius: '8px',
+    padding: '20px',
+    border: '1px solid #2a2e38',
+  },
+  title: {
+    color: '#00D9FF',
+    fontSize: '12px',
+    letterSpacing: '2px',
+    marginBottom: '15px',
+    marginTop: 0,
+  },
+  levels: {
+    color: '#666',
+    fontSize: '10px',
+    letterSpacing: '1px',
+    marginLeft: '8px',
+  },
+  plot: {
+    position: 'relative',
+    height: `${HEIGHT}px`,
+  },
+  canvas: {
+    display: 'block',
+    height: `${HEIGHT}px`,
+    cursor: 'crosshair',
+  },
+  empty: {
+    position: 'absolute',
+    top: '50%',
+    width: '100%',
+    textAlign: 'center',
+    color: '#666',
+    fontSize: '12px',
+  },
+  tooltip: {
+    position: 'absolute',
+    top: '8px',
+    padding: '6px 8px',
+    background: '#0a0e14e6',
+    border: '1px solid #2a2e38',
+    borderRadius: '4px',
+    fontSize: '11px',
+    lineHeight: 1.5,
+    color: '#b3b1ad',
+    pointerEvents: 'none',
+    whiteSpace: 'nowrap',
+  },
+}
@@ -0,0 +1,101 @@
+// Timeline over the book states the worker retains for the selected symbol
+
+function formatTime(time) {
+  if (!time) return '--:--:--'
+  const date = new Date(time)
+  return `${date.toLocaleTimeString([], { hour12: false })}.${String(date.getMilliseconds()).padStart(3, '0')}`
+}
+
+export default function HistoryScrubber({ history, travel, onScrub, onLive }) {
+  const live = !travel
+  const first = history?.first ?? 0
+  const last = history?.last ?? 0
+  const value = travel ? Math.max(first, Math.min(last, travel.sequence)) : last
+  const lag = travel?.time && history?.lastTime ? (history.lastTime - travel.time) / 1000 : 0
+
+  return (
+    <div style={styles.container}>
+      <div style={styles.header}>
+        <h3 style={styles.title}>TIME TRAVEL</h3>
+        <span style={styles.info}>
+          {live
+            ? `${history ? last - first + 1 : 0} snapshots retained`
+            : `${formatTime(travel.time)} (−${lag.toFixed(1)}s, #${travel.sequence})`}
+        </span>
+        <button
+          style={{
+            ...styles.liveBtn,
+            background: live ? '#00FF88' : 'transparent',
+            color: live ? '#0a0e14' : '#00FF88',
+          }}
+          onClick={onLive}
+        >
+          LIVE
+        </button>
+      </div>
+      <input
+        type="range"
+        style={styles.slider}
+        min={first}
+        max={last}
+        value={value}
+        disabled={!history}
+        onChange={(e) => {
+          const sequence = Number(e.target.value)
+          if (sequence >= last) onLive()
+          else onScrub(sequence)
+        }}
+      />
+      <div style={styles.labels}>
+        <span>{formatTime(history?.firstTime)}</span>
+        <span>{formatTime(history?.lastTime)}</span>
+      </div>
+    </div>
+  )
+}
+
+const styles = {
+  container: {
+    background: '#12171f',
+    borderRadius: '8px',
+    padding: '20px',
+    border: '1px solid #2a2e38',
+  },
+  header: {
+    display: 'flex',
+    alignItems: 'center',
+    gap: '12px',
+    marginBottom: '12px',
+  },
+  title: {
+    color: '#00D9FF',
+    fontSize: '12px',
+    letterSpacing: '2px',
+    margin: 0,
+  },
+  info: {
+    flex: 1,
+    fontSize: '12px',
+    color: '#FFD700',
+  },
+  liveBtn: {
+    padding: '4px 10px',
+    border: '1px solid #00FF88',
+    borderRadius: '4px',
+    cursor: 'pointer',
+    fontSize: '11px',
+    fontWeight: 'bold',
+    fontFamily: "'SF Mono', monospace",
+  },
+  slider: {
+    width: '100%',
+    accentColor: '#00D9FF',
+  },
+  labels: {
+    display: 'flex',
+    justifyContent: 'space-between',
+    fontSize: '10px',
+    color: '#666',
+    marginTop: '5px',
+  },
+}
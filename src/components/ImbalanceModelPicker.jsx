@@ -0,0 +1,76 @@
+import { useState } from 'react'
+import { IMBALANCE_MODELS, modelConfig, describeModel } from '../imbalance'
+
+// Model select plus an input for each of the model's parameters. A parameter is only
+// applied on blur or Enter, as every change restarts the model's history and tiers
+export default function ImbalanceModelPicker({ model, onChange }) {
+  const { params } = IMBALANCE_MODELS[model.kind]
+  // param key -> value as typed, until applied
+  const [drafts, setDrafts] = useState({})
+
+  const applyParam = ({ key, min, max }) => {
+    const value = drafts[key]
+    setDrafts(({ [key]: applied, ...rest }) => rest)
+    const number = Number(value)
+    if (value === undefined || value === '' || !Number.isFinite(number)) return
+    const clamped = Math.min(max, Math.max(min, number))
+    if (clamped !== model[key]) onChange(modelConfig(model.kind, { ...model, [key]: clamped }))
+  }
+
+  return (
+    <div style={styles.container} title={describeModel(model)}>
+      <select
+        style={styles.input}
+        value={model.kind}
+        onChange={(e) => {
+          setDrafts({})
+          onChange(modelConfig(e.target.value))
+        }}
+      >
+        {Object.entries(IMBALANCE_MODELS).map(([kind, { label }]) => (
+          <option key={kind} value={kind}>{label}</option>
+        ))}
+      </select>
+      {params.map((param) => (
+        <label key={param.key} style={styles.param}>
+          <input
+            style={{ ...styles.input, width: '64px' }}
+            type="number"
+            min={param.min}
+            max={param.max}
+            step={param.step}
+            value={drafts[param.key] ?? model[param.key]}
+            onChange={(e) => setDrafts({ ...drafts, [param.key]: e.target.value })}
+            onBlur={() => applyParam(param)}
+            onKeyDown={(e) => e.key === 'Enter' && e.currentTarget.blur()}
+          />
+          {param.label}
+        </label>
+      ))}
+    </div>
+  )
+}
+
+const styles = {
+  container: {
+    display: 'flex',
+    alignItems: 'center',
+    gap: '8px',
+  },
+  param: {
+    display: 'flex',
+    alignItems: 'center',
+    gap: '4px',
+    color: '#666',
+    fontSize: '11px',
+  },
+  input: {
+    padding: '4px 6px',
+    background: '#1a1f29',
+    color: '#b3b1ad',
+    border: '1px solid #2a2e38',
+    borderRadius: '4px',
+    fontSize: '11px',
+    fontFamily: "'SF Mono', monospace",
+  },
+}
@@ -0,0 +1,361 @@
+import { useEffect, useRef, useState } from 'react'
+import {
+  HEATMAP_INTERVAL,
+  HEATMAP_COLUMNS,
+  HEATMAP_PALETTES,
+  HEATMAP_SCALES,
+  DEFAULT_HEATMAP_SCALE,
+} from '../heatmap'
+import TimeAxis from './TimeAxis'
+
+const HEIGHT = 300
+// Room on the right for price labels
+const PRICE_GUTTER = 72
+const MIN_SPAN = 10000
+const MAX_SPAN = HEATMAP_COLUMNS * HEATMAP_INTERVAL
+const DEFAULT_SPAN = 120000
+const ZOOM_STEP = 1.25
+// A column is drawn up to the next one, but not across a gap longer than this
+const MAX_COLUMN_GAP = 5000
+// Quantity that saturates the palette, as a fraction of the largest visible cell
+const CONTRASTS = [1, 2, 4, 8]
+const SCALE_STORAGE_KEY = 'havflow.heatmapScale'
+
+const LIVE_VIEW = { span: DEFAULT_SPAN, end: null, priceCenter: null, priceHalf: null }
+
+function loadScale() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(SCALE_STORAGE_KEY))
+    if (HEATMAP_PALETTES[saved?.palette] && HEATMAP_SCALES[saved?.scale] && CONTRASTS.includes(saved?.contrast)) return saved
+  } catch (e) {}
+  return DEFAULT_HEATMAP_SCALE
+}
+
+const hexToRgb = (hex) => [1, 3, 5].map(i => parseInt(hex.slice(i, i + 2), 16))
+
+// 256 colours interpolated between the palette stops
+function paletteColors(stops) {
+  const rgb = stops.map(hexToRgb)
+  return Array.from({ length: 256 }, (_, i) => {
+    const position = (i / 255) * (rgb.length - 1)
+    const index = Math.min(Math.floor(position), rgb.length - 2)
+    const mix = position - index
+    const [r, g, b] = rgb[index].map((value, c) => Math.round(value + (rgb[index + 1][c] - value) * mix))
+    return `rgb(${r},${g},${b})`
+  })
+}
+
+// Smallest gap between adjacent levels, so each price gets a full-height row
+function priceTick(levels) {
+  let tick = Infinity
+  for (let i = 2; i < levels.length; i += 2) {
+    const gap = Math.abs(levels[i] - levels[i - 2])
+    if (gap > 0 && gap < tick) tick = gap
+  }
+  return Number.isFinite(tick) ? tick : 0
+}
+
+// Enough price range either side of mid to show the whole latest book
+function autoHalf(column, mid) {
+  let half = 0
+  for (let i = 0; i < column.levels.length; i += 2) half = Math.max(half, Math.abs(column.levels[i] - mid))
+  return half || mid * 0.001 || 1
+}
+
+// Resting quantity by price over time, with best bid/ask and mid drawn on top.
+// Wheel zooms time (shift+wheel zooms price), dragging pans both; LIVE follows the feed again
+export default function LiquidityHeatmap({ columns }) {
+  const containerRef = useRef(null)
+  const canvasRef = useRef(null)
+  const dragRef = useRef(null)
+  // Range last drawn, for turning mouse movement into a new view
+  const rangeRef = useRef(null)
+  const [width, setWidth] = useState(0)
+  const [view, setView] = useState(LIVE_VIEW)
+  const [colorScale, setColorScale] = useState(loadScale)
+
+  useEffect(() => {
+    localStorage.setItem(SCALE_STORAGE_KEY, JSON.stringify(colorScale))
+  }, [colorScale])
+
+  useEffect(() => {
+    const observer = new ResizeObserver(([entry]) => setWidth(Math.floor(entry.contentRect.width)))
+    observer.observe(containerRef.current)
+    return () => observer.disconnect()
+  }, [])
+
+  const latest = columns[columns.length - 1]
+  const liveEnd = latest ? latest.t + HEATMAP_INTERVAL : 0
+  const end = view.end ?? liveEnd
+  const start = end - view.span
+
+  // React's wheel listeners are passive and can't stop the page from scrolling
+  useEffect(() => {
+    const canvas = canvasRef.current
+    const onWheel = (e) => {
+      const range = rangeRef.current
+      if (!range) return
+      e.preventDefault()
+      const factor = e.deltaY > 0 ? ZOOM_STEP : 1 / ZOOM_STEP
+      setView(prev => e.shiftKey
+        ? { ...prev, priceCenter: range.center, priceHalf: range.half * factor }
+        : { ...prev, span: Math.min(MAX_SPAN, Math.max(MIN_SPAN, prev.span * factor)) })
+    }
+    canvas.addEventListener('wheel', onWheel, { passive: false })
+    return () => canvas.removeEventListener('wheel', onWheel)
+  }, [])
+
+  useEffect(() => {
+    const canvas = canvasRef.current
+    if (width === 0) return
+    const ratio = window.devicePixelRatio || 1
+    canvas.width = width * ratio
+    canvas.height = HEIGHT * ratio
+    const ctx = canvas.getContext('2d')
+    ctx.setTransform(ratio, 0, 0, ratio, 0, 0)
+    ctx.clearRect(0, 0, width, HEIGHT)
+    rangeRef.current = null
+    if (!latest) return
+
+    const plotWidth = width - PRICE_GUTTER
+    const mid = latest.bid && latest.ask ? (latest.bid + latest.ask) / 2 : latest.bid || latest.ask
+    const center = view.priceCenter ?? mid
+    const half = view.priceHalf ?? autoHalf(latest, mid)
+    const maxPrice = center + half
+    const minPrice = center - half
+    rangeRef.current = { center, half, end, plotWidth }
+
+    const x = (t) => ((t - start) / view.span) * plotWidth
+    const y = (price) => ((maxPrice - price) / (2 * half)) * HEIGHT
+    const rowHeight = Math.max(1, (priceTick(latest.levels) / (2 * half)) * HEIGHT)
+
+    // Columns on screen with the time each one lasts until
+    const visible = []
+    columns.forEach((column, i) => {
+      const next = columns[i + 1]
+      const until = Math.min(next ? next.t : liveEnd, column.t + MAX_COLUMN_GAP)
+      if (until >= start && column.t <= end) visible.push({ column, until })
+    })
+
+    let maxQty = 0
+    visible.forEach(({ column: { levels } }) => {
+      for (let i = 0; i < levels.length; i += 2) {
+        if (levels[i] >= minPrice && levels[i] <= maxPrice) maxQty = Math.max(maxQty, levels[i + 1])
+      }
+    })
+
+    const colors = paletteColors(HEATMAP_PALETTES[colorScale.palette].stops)
+    const curve = HEATMAP_SCALES[colorScale.scale].apply
+    visible.forEach(({ column: { t, levels }, until }, i) => {
+      const x0 = Math.max(0, x(t))
+      const x1 = Math.min(plotWidth, x(until))
+      // Zoomed out, many columns share a pixel; only the newest of them is drawn
+      const next = visible[i + 1]
+      if (next && Math.floor(x(next.column.t)) <= Math.floor(x0)) return
+      for (let j = 0; j < levels.length; j += 2) {
+        const price = levels[j]
+        if (price < minPrice || price > maxPrice || !maxQty) continue
+        const intensity = Math.min(1, curve(Math.min(1, (levels[j + 1] / maxQty) * colorScale.contrast)))
+        ctx.fillStyle = colors[Math.round(intensity * 255)]
+        ctx.fillRect(x0, y(price) - rowHeight / 2, Math.max(1, x1 - x0), rowHeight)
+      }
+    })
+
+    const drawLine = (value, color, dash) => {
+      ctx.strokeStyle = color
+      ctx.lineWidth = 1.5
+      ctx.setLineDash(dash)
+      ctx.beginPath()
+      let previous = null
+      visible.forEach(({ column, until }) => {
+        const price = value(column)
+        if (!price) {
+          previous = null
+          return
+        }
+        const x0 = Math.max(0, x(column.t))
+        const x1 = Math.min(plotWidth, x(until))
+        if (previous && column.t - previous <= MAX_COLUMN_GAP) ctx.lineTo(x0, y(price))
+        else ctx.moveTo(x0, y(price))
+        ctx.lineTo(x1, y(price))
+        previous = until
+      })
+      ctx.stroke()
+      ctx.setLineDash([])
+    }
+    drawLine(column => column.bid, '#00FF88', [])
+    drawLine(column => column.ask, '#FF4444', [])
+    drawLine(column => column.bid && column.ask && (column.bid + column.ask) / 2, '#FFD700', [4, 3])
+
+    ctx.fillStyle = '#12171f'
+    ctx.fillRect(plotWidth, 0, PRICE_GUTTER, HEIGHT)
+    ctx.fillStyle = '#666'
+    ctx.font = "10px 'SF Mono', monospace"
+    ctx.textAlign = 'left'
+    ctx.textBaseline = 'top'
+    ctx.fillText(maxPrice.toLocaleString(), plotWidth + 6, 0)
+    ctx.textBaseline = 'bottom'
+    ctx.fillText(minPrice.toLocaleString(), plotWidth + 6, HEIGHT)
+    if (mid >= minPrice && mid <= maxPrice) {
+      ctx.textBaseline = 'middle'
+      ctx.fillStyle = '#FFD700'
+      ctx.fillText(mid.toLocaleString(), plotWidth + 6, y(mid))
+    }
+  }, [columns, width, view, colorScale])
+
+  const handleMouseDown = (e) => {
+    const range = rangeRef.current
+    if (!range) return
+    dragRef.current = { x: e.clientX, y: e.clientY, ...range }
+  }
+
+  const handleMouseMove = (e) => {
+    const drag = dragRef.current
+    if (!drag) return
+    const shift = ((e.clientX - drag.x) / drag.plotWidth) * view.span
+    const nextEnd = drag.end - shift
+    setView(prev => ({
+      ...prev,
+      // Dragging back to the newest column goes live again
+      end: nextEnd >= liveEnd ? null : nextEnd,
+      priceCenter: drag.center + ((e.clientY - drag.y) / HEIGHT) * 2 * drag.half,
+      priceHalf: drag.half,
+    }))
+  }
+
+  const following = view.end === null && view.priceCenter === null
+
+  return (
+    <div style={styles.container}>
+      <div style={styles.header}>
+        <h3 style={styles.title}>LIQUIDITY HEATMAP</h3>
+        <div style={styles.controls}>
+          <select
+            style={styles.select}
+            value={colorScale.palette}
+            onChange={(e) => setColorScale({ ...colorScale, palette: e.target.value })}
+            title="Colour palette"
+          >
+            {Object.entries(HEATMAP_PALETTES).map(([key, { label }]) => (
+              <option key={key} value={key}>{label}</option>
+            ))}
+          </select>
+          <select
+            style={styles.select}
+            value={colorScale.scale}
+            onChange={(e) => setColorScale({ ...colorScale, scale: e.target.value })}
+            title="How quantity maps onto the palette"
+          >
+            {Object.entries(HEATMAP_SCALES).map(([key, { label }]) => (
+              <option key={key} value={key}>{label}</option>
+            ))}
+          </select>
+          <select
+            style={styles.select}
+            value={colorScale.contrast}
+            onChange={(e) => setColorScale({ ...colorScale, contrast: Number(e.target.value) })}
+            title="Saturate at this fraction of the largest visible order"
+          >
+            {CONTRASTS.map(contrast => (
+              <option key={contrast} value={contrast}>{contrast}x contrast</option>
+            ))}
+          </select>
+          <button
+            style={{
+              ...styles.liveBtn,
+              background: following ? '#00D9FF' : 'transparent',
+              color: following ? '#0a0e14' : '#00D9FF',
+            }}
+            onClick={() => setView({ ...LIVE_VIEW, span: view.span })}
+            title="Follow the newest data and re-centre on mid"
+          >
+            LIVE
+          </button>
+        </div>
+      </div>
+      <div ref={containerRef} style={styles.plot}>
+        <canvas
+          ref={canvasRef}
+          style={{ ...styles.canvas, width: `${width}px` }}
+          onMouseDown={handleMouseDown}
+          onMouseMove={handleMouseMove}
+          onMouseUp={() => { dragRef.current = null }}
+          onMouseLeave={() => { dragRef.current = null }}
+        />
+        {columns.length === 0 && <div style={styles.empty}>Waiting for book…</div>}
+      </div>
+      <div style={{ marginRight: `${PRICE_GUTTER}px` }}>
+        <TimeAxis start={latest ? start : 0} end={latest ? end : 0} />
+      </div>
+      <div style={styles.hint}>wheel: zoom time · shift+wheel: zoom price · drag: pan</div>
+    </div>
+  )
+}
+
+const styles = {
+  container: {
+    background: '#12171f',
+    borderRadius: '8px',
+    padding: '20px',
+    border: '1px solid #2a2e38',
+  },
+  header: {
+    display: 'flex',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginBottom: '15px',
+  },
+  title: {
+    color: '#00D9FF',
+    fontSize: '12px',
+    letterSpacing: '2px',
+    margin: 0,
+  },
+  controls: {
+    display: 'flex',
+    alignItems: 'center',
+    gap: '8px',
+  },
+  select: {
+    padding: '4px 6px',
+    background: '#1a1f29',
+    color: '#b3b1ad',
+    border: '1px solid #2a2e38',
+    borderRadius: '4px',
+    fontSize: '11px',
+    fontFamily: "'SF Mono', monospace",
+  },
+  liveBtn: {
+    padding: '4px 10px',
+    border: '1px solid #00D9FF',
+    borderRadius: '4px',
+    cursor: 'pointer',
+    fontSize: '11px',
+    fontWeight: 'bold',
+    fontFamily: "'SF Mono', monospace",
+  },
+  plot: {
+    position: 'relative',
+    height: `${HEIGHT}px`,
+    background: '#0a0e14',
+    borderRadius: '4px',
+  },
+  canvas: {
+    display: 'block',
+    height: `${HEIGHT}px`,
+    cursor: 'grab',
+  },
+  empty: {
+    position: 'absolute',
+    top: '50%',
+    width: '100%',
+    textAlign: 'center',
+    color: '#666',
+    fontSize: '12px',
+  },
+  hint: {
+    marginTop: '5px',
+    fontSize: '10px',
+    color: '#666',
+  },
+}
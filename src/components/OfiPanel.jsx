@@ -0,0 +1,85 @@
+const formatWindow = (ms) => (ms >= 60000 ? `${ms / 60000}m` : `${ms / 1000}s`)
+
+const formatOfi = (value) => `${value >= 0 ? '+' : ''}${value.toLocaleString(undefined, { maximumFractionDigits: 3 })}`
+
+// Rolling OFI per window: the net flow in base units, with a bar for net / gross flow
+export default function OfiPanel({ ofi, live }) {
+  return (
+    <div style={styles.container}>
+      <div style={styles.title}>
+        ORDER FLOW (OFI){live && <span style={{ color: '#FF8C00' }}> — LIVE</span>}
+      </div>
+      <div style={styles.windows}>
+        {(ofi || []).map(({ window, ofi: value, normalized }) => (
+          <div key={window} style={styles.cell}>
+            <span style={styles.window}>{formatWindow(window)}</span>
+            <span style={{ ...styles.value, color: value >= 0 ? '#00FF88' : '#FF4444' }}>
+              {formatOfi(value)}
+            </span>
+            <div style={styles.track}>
+              <div style={{
+                ...styles.fill,
+                left: normalized >= 0 ? '50%' : `${50 + normalized * 50}%`,
+                width: `${Math.abs(normalized) * 50}%`,
+                background: normalized >= 0 ? '#00FF88' : '#FF4444',
+              }} />
+            </div>
+          </div>
+        ))}
+        {!ofi && <span style={styles.empty}>Waiting for book updates</span>}
+      </div>
+    </div>
+  )
+}
+
+const styles = {
+  container: {
+    marginTop: '20px',
+    paddingTop: '15px',
+    borderTop: '1px solid #2a2e38',
+  },
+  title: {
+    color: '#666',
+    fontSize: '11px',
+    letterSpacing: '2px',
+    textAlign: 'center',
+    marginBottom: '10px',
+  },
+  windows: {
+    display: 'flex',
+    justifyContent: 'center',
+    gap: '30px',
+  },
+  cell: {
+    display: 'flex',
+    flexDirection: 'column',
+    alignItems: 'center',
+    gap: '4px',
+    minWidth: '120px',
+  },
+  window: {
+    color: '#666',
+    fontSize: '11px',
+  },
+  value: {
+    fontSize: '16px',
+    fontWeight: 'bold',
+  },
+  track: {
+    position: 'relative',
+    width: '100%',
+    height: '4px',
+    background: '#2a2e38',
+    borderRadius: '2px',
+  },
+  fill: {
+    position: 'absolute',
+    top: 0,
+    height: '100%',
+    borderRadius: '2px',
+  },
+  empty: {
+    color: '#666',
+    fontSize: '12px',
+  },
+}
@@ -0,0 +1,180 @@
+import { useState } from 'react'
+import { MAX_TIERS, DEFAULT_PRESSURE, pressureConfig } from '../pressure'
+
+// Draft copy of the config as typed; numbers are only parsed on apply
+const toDraft = (config) => ({
+  tiers: config.tiers.map(({ label, enter }) => ({ label, enter: String(enter) })),
+  hysteresis: String(config.hysteresis),
+  dwell: String(config.dwell / 1000),
+})
+
+// Pressure tier thresholds, hysteresis and dwell time, edited in a drop-down and applied together
+export default function PressureTiersEditor({ config, onChange }) {
+  const [open, setOpen] = useState(false)
+  const [draft, setDraft] = useState(() => toDraft(config))
+
+  const toggle = () => {
+    if (!open) setDraft(toDraft(config))
+    setOpen(!open)
+  }
+
+  const setTier = (index, fields) => {
+    setDraft({ ...draft, tiers: draft.tiers.map((tier, i) => (i === index ? { ...tier, ...fields } : tier)) })
+  }
+
+  const apply = (next) => {
+    const config = pressureConfig({
+      tiers: next.tiers.map(({ label, enter }) => ({ label, enter: Number(enter) })),
+      hysteresis: Number(next.hysteresis),
+      dwell: Number(next.dwell) * 1000,
+    })
+    onChange(config)
+    setDraft(toDraft(config))
+  }
+
+  return (
+    <div style={styles.container}>
+      <button style={styles.toggle} onClick={toggle} title="Pressure tiers, hysteresis and dwell time">
+        TIERS {open ? '▴' : '▾'}
+      </button>
+      {open && (
+        <div style={styles.panel}>
+          <div style={styles.hint}>Tiers apply to both sides; |imbalance| ≥ entry enters a tier</div>
+          {draft.tiers.map((tier, i) => (
+            <div key={i} style={styles.row}>
+              <input
+                style={{ ...styles.input, flex: 1 }}
+                value={tier.label}
+                placeholder="Label"
+                onChange={(e) => setTier(i, { label: e.target.value })}
+              />
+              <input
+                style={{ ...styles.input, width: '56px' }}
+                type="number"
+                min="0.01"
+                max="1"
+                step="0.05"
+                value={tier.enter}
+                onChange={(e) => setTier(i, { enter: e.target.value })}
+              />
+              <button
+                style={styles.button}
+                disabled={draft.tiers.length === 1}
+                onClick={() => setDraft({ ...draft, tiers: draft.tiers.filter((_, j) => j !== i) })}
+              >
+                ×
+              </button>
+            </div>
+          ))}
+          {draft.tiers.length < MAX_TIERS && (
+            <button
+              style={styles.button}
+              onClick={() => setDraft({ ...draft, tiers: [...draft.tiers, { label: '', enter: '1' }] })}
+            >
+              + TIER
+            </button>
+          )}
+          <label style={styles.row}>
+            <span style={styles.label}>hysteresis</span>
+            <input
+              style={{ ...styles.input, width: '56px' }}
+              type="number"
+              min="0"
+              max="0.5"
+              step="0.01"
+              value={draft.hysteresis}
+              onChange={(e) => setDraft({ ...draft, hysteresis: e.target.value })}
+            />
+          </label>
+          <label style={styles.row}>
+            <span style={styles.label}>min dwell (s)</span>
+            <input
+              style={{ ...styles.input, width: '56px' }}
+              type="number"
+              min="0"
+              max="60"
+              step="0.5"
+              value={draft.dwell}
+              onChange={(e) => setDraft({ ...draft, dwell: e.target.value })}
+            />
+          </label>
+          <div style={styles.actions}>
+            <button style={styles.button} onClick={() => apply(toDraft(DEFAULT_PRESSURE))}>DEFAULTS</button>
+            <button style={{ ...styles.button, borderColor: '#00D9FF', color: '#00D9FF' }} onClick={() => apply(draft)}>
+              APPLY
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  )
+}
+
+const styles = {
+  container: {
+    position: 'relative',
+  },
+  toggle: {
+    padding: '4px 8px',
+    border: '1px solid #2a2e38',
+    borderRadius: '4px',
+    background: '#1a1f29',
+    color: '#b3b1ad',
+    cursor: 'pointer',
+    fontSize: '11px',
+    fontFamily: "'SF Mono', monospace",
+  },
+  panel: {
+    position: 'absolute',
+    top: '30px',
+    right: 0,
+    zIndex: 10,
+    width: '260px',
+    padding: '10px',
+    background: '#12171f',
+    border: '1px solid #2a2e38',
+    borderRadius: '8px',
+    boxShadow: '0 8px 24px #00000080',
+    display: 'flex',
+    flexDirection: 'column',
+    gap: '6px',
+  },
+  hint: {
+    color: '#666',
+    fontSize: '10px',
+  },
+  row: {
+    display: 'flex',
+    alignItems: 'center',
+    gap: '6px',
+  },
+  label: {
+    flex: 1,
+    color: '#666',
+    fontSize: '11px',
+  },
+  input: {
+    padding: '4px 6px',
+    background: '#1a1f29',
+    color: '#b3b1ad',
+    border: '1px solid #2a2e38',
+    borderRadius: '4px',
+    fontSize: '11px',
+    fontFamily: "'SF Mono', monospace",
+  },
+  button: {
+    padding: '4px 8px',
+    border: '1px solid #2a2e38',
+    borderRadius: '4px',
+    background: 'transparent',
+    color: '#b3b1ad',
+    cursor: 'pointer',
+    fontSize: '11px',
+    fontFamily: "'SF Mono', monospace",
+  },
+  actions: {
+    display: 'flex',
+    justifyContent: 'flex-end',
+    gap: '6px',
+  },
+}
@@ -0,0 +1,103 @@
+import { REPLAY_SPEEDS } from '../replay'
+
+function formatPosition(ms) {
+  const seconds = Math.floor(ms / 1000)
+  return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}.${Math.floor((ms % 1000) / 100)}`
+}
+
+// Transport controls for a recorded session being played back
+export default function ReplayControls({ session, state, player, onExit }) {
+  const ready = Boolean(state && player)
+
+  return (
+    <div style={styles.container}>
+      <div style={styles.header}>
+        <h3 style={styles.title}>REPLAY — <span style={{ color: '#FFD700' }}>{session.name}</span></h3>
+        <button style={styles.button} disabled={!ready} onClick={() => (state.playing ? player.pause() : player.play())}>
+          {state?.playing ? '❚❚ PAUSE' : '▶ PLAY'}
+        </button>
+        <button style={styles.button} disabled={!ready} onClick={() => player.step()}>STEP</button>
+        <select
+          style={styles.select}
+          value={state?.speed ?? 1}
+          disabled={!ready}
+          onChange={(e) => player.setSpeed(Number(e.target.value))}
+        >
+          {REPLAY_SPEEDS.map(speed => (
+            <option key={speed} value={speed}>{speed}x</option>
+          ))}
+        </select>
+        <button style={{ ...styles.button, borderColor: '#FF4444', color: '#FF4444' }} onClick={onExit}>
+          EXIT REPLAY
+        </button>
+      </div>
+      <input
+        type="range"
+        style={styles.slider}
+        min={0}
+        max={state?.duration || 0}
+        value={state?.position || 0}
+        disabled={!ready}
+        onChange={(e) => player.seek(Number(e.target.value))}
+      />
+      <div style={styles.labels}>
+        <span>{formatPosition(state?.position || 0)}</span>
+        <span>{state ? `${state.index} / ${state.total} msgs` : 'Loading...'}</span>
+        <span>{formatPosition(state?.duration || 0)}</span>
+      </div>
+    </div>
+  )
+}
+
+const styles = {
+  container: {
+    background: '#12171f',
+    borderRadius: '8px',
+    padding: '20px',
+    border: '1px solid #00D9FF',
+  },
+  header: {
+    display: 'flex',
+    alignItems: 'center',
+    gap: '8px',
+    marginBottom: '12px',
+  },
+  title: {
+    color: '#00D9FF',
+    fontSize: '12px',
+    letterSpacing: '2px',
+    margin: 0,
+    flex: 1,
+  },
+  button: {
+    padding: '4px 10px',
+    border: '1px solid #2a2e38',
+    borderRadius: '4px',
+    background: 'transparent',
+    color: '#b3b1ad',
+    cursor: 'pointer',
+    fontSize: '11px',
+    fontWeight: 'bold',
+    fontFamily: "'SF Mono', monospace",
+  },
+  select: {
+    padding: '4px 6px',
+    background: '#12171f',
+    color: '#b3b1ad',
+    border: '1px solid #2a2e38',
+    borderRadius: '4px',
+    fontSize: '11px',
+    fontFamily: "'SF Mono', monospace",
+  },
+  slider: {
+    width: '100%',
+    accentColor: '#00D9FF',
+  },
+  labels: {
+    display: 'flex',
+    justifyContent: 'space-between',
+    fontSize: '10px',
+    color: '#666',
+    marginTop: '5px',
+  },
+}
@@ -0,0 +1,111 @@
+import { STATS_WINDOWS } from '../rollingStats'
+
+const signed = (value, digits = 3) => `${value >= 0 ? '+' : ''}${value.toFixed(digits)}`
+
+const COLUMNS = [
+  { label: 'LAST', value: ({ last }) => signed(last) },
+  { label: 'MEAN', value: ({ mean }) => signed(mean) },
+  { label: 'STDEV', value: ({ stdev }) => stdev.toFixed(3) },
+  { label: 'MIN', value: ({ min }) => signed(min) },
+  { label: 'MAX', value: ({ max }) => signed(max) },
+  { label: 'PCTL', value: ({ percentile }) => `${percentile.toFixed(0)}%` },
+  { label: 'Z', value: ({ z }) => `${signed(z, 2)}σ` },
+]
+
+// Rolling imbalance statistics for every watched symbol, so readings can be compared
+// against each pair's own regime
+export default function RollingStatsPanel({ overview, symbols, selectedSymbol, window, onWindowChange }) {
+  return (
+    <div style={styles.container}>
+      <div style={styles.header}>
+        <h3 style={styles.title}>IMBALANCE STATISTICS</h3>
+        <select style={styles.select} value={window} onChange={(e) => onWindowChange(Number(e.target.value))} title="Rolling window">
+          {STATS_WINDOWS.map(({ label, ms }) => (
+            <option key={ms} value={ms}>{label} window</option>
+          ))}
+        </select>
+      </div>
+      <table style={styles.table}>
+        <thead>
+          <tr>
+            <th style={{ ...styles.cell, ...styles.head, textAlign: 'left' }}>SYMBOL</th>
+            {COLUMNS.map(({ label }) => <th key={label} style={{ ...styles.cell, ...styles.head }}>{label}</th>)}
+            <th style={{ ...styles.cell, ...styles.head }}>SAMPLES</th>
+          </tr>
+        </thead>
+        <tbody>
+          {symbols.map(symbol => {
+            const stats = overview[symbol]?.rolling
+            return (
+              <tr key={symbol} style={symbol === selectedSymbol ? styles.selected : undefined}>
+                <td style={{ ...styles.cell, textAlign: 'left', color: '#FFD700' }}>{symbol}</td>
+                {COLUMNS.map(({ label, value }) => (
+                  <td
+                    key={label}
+                    style={{
+                      ...styles.cell,
+                      color: label === 'Z' && stats ? (stats.z >= 0 ? '#00FF88' : '#FF4444') : undefined,
+                    }}
+                  >
+                    {stats ? value(stats) : '---'}
+                  </td>
+                ))}
+                <td style={{ ...styles.cell, color: '#666' }}>{stats?.count ?? 0}</td>
+              </tr>
+            )
+          })}
+        </tbody>
+      </table>
+    </div>
+  )
+}
+
+const styles = {
+  container: {
+    background: '#12171f',
+    borderRadius: '8px',
+    padding: '20px',
+    border: '1px solid #2a2e38',
+  },
+  header: {
+    display: 'flex',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginBottom: '12px',
+  },
+  title: {
+    color: '#00D9FF',
+    fontSize: '12px',
+    letterSpacing: '2px',
+    margin: 0,
+  },
+  select: {
+    padding: '4px 6px',
+    background: '#1a1f29',
+    color: '#b3b1ad',
+    border: '1px solid #2a2e38',
+    borderRadius: '4px',
+    fontSize: '11px',
+    fontFamily: "'SF Mono', monospace",
+  },
+  table: {
+    width: '100%',
+    borderCollapse: 'collapse',
+    fontSize: '12px',
+  },
+  cell: {
+    padding: '6px 8px',
+    textAlign: 'right',
+    borderTop: '1px solid #1a1f29',
+  },
+  head: {
+    color: '#666',
+    fontSize: '10px',
+    letterSpacing: '1px',
+    fontWeight: 'normal',
+    borderTop: 'none',
+  },
+  selected: {
+    background: '#1a1f29',
+  },
+}
@@ -0,0 +1,194 @@
+import { useState, useEffect, useRef, useCallback } from 'react'
+import { listSessions, deleteSession, exportSession, importSession } from '../sessionStore'
+
+function formatDuration(ms) {
+  const seconds = Math.round(ms / 1000)
+  const minutes = Math.floor(seconds / 60)
+  return minutes > 0 ? `${minutes}m ${seconds % 60}s` : `${seconds}s`
+}
+
+function download(filename, text) {
+  const url = URL.createObjectURL(new Blob([text], { type: 'application/x-ndjson' }))
+  const link = document.createElement('a')
+  link.href = url
+  link.download = filename
+  link.click()
+  URL.revokeObjectURL(url)
+}
+
+// Recorder controls and the list of recorded sessions
+export default function SessionPanel({ recording, recordedCount, onStartRecording, onStopRecording, replaying, onReplay }) {
+  const [sessions, setSessions] = useState([])
+  const [name, setName] = useState('')
+  const [error, setError] = useState(null)
+  const fileRef = useRef(null)
+
+  const refresh = useCallback(async () => {
+    try {
+      setSessions(await listSessions())
+    } catch (e) {
+      setError(`Session storage unavailable: ${e.message || e}`)
+    }
+  }, [])
+
+  // Reload the list whenever a recording starts or stops
+  useEffect(() => {
+    refresh()
+  }, [refresh, recording])
+
+  const toggleRecording = async () => {
+    setError(null)
+    if (recording) {
+      await onStopRecording()
+      setName('')
+    } else {
+      await onStartRecording(name.trim() || `Session ${new Date().toLocaleString()}`)
+    }
+  }
+
+  const handleExport = async (session) => {
+    setError(null)
+    try {
+      const text = await exportSession(session)
+      download(`${session.name.replace(/[^\w.-]+/g, '_')}.ndjson`, text)
+    } catch (err) {
+      setError(`Export failed: ${err.message || err}`)
+    }
+  }
+
+  const handleDelete = async (session) => {
+    setError(null)
+    try {
+      await deleteSession(session.id)
+    } catch (err) {
+      setError(`Delete failed: ${err.message || err}`)
+    }
+    refresh()
+  }
+
+  const handleImport = async (e) => {
+    const file = e.target.files[0]
+    e.target.value = ''
+    if (!file) return
+    setError(null)
+    try {
+      await importSession(await file.text(), file.name.replace(/\.ndjson$/, ''))
+      refresh()
+    } catch (err) {
+      setError(`Import failed: ${err.message || err}`)
+    }
+  }
+
+  return (
+    <div style={styles.container}>
+      <div style={styles.header}>
+        <h3 style={styles.title}>SESSIONS</h3>
+        <input
+          style={styles.nameInput}
+          placeholder="Session name"
+          value={name}
+          disabled={recording || replaying}
+          onChange={(e) => setName(e.target.value)}
+        />
+        <button
+          style={{
+            ...styles.button,
+            borderColor: '#FF4444',
+            background: recording ? '#FF4444' : 'transparent',
+            color: recording ? '#0a0e14' : '#FF4444',
+          }}
+          onClick={toggleRecording}
+          disabled={replaying}
+          title={replaying ? 'Recording is only available on the live feed' : undefined}
+        >
+          {recording ? `■ STOP (${recordedCount})` : '● RECORD'}
+        </button>
+        <button style={styles.button} onClick={() => fileRef.current.click()}>IMPORT</button>
+        <input ref={fileRef} type="file" accept=".ndjson,.jsonl,.json" hidden onChange={handleImport} />
+      </div>
+
+      {error && <div style={styles.error}>{error}</div>}
+
+      {sessions.length === 0 ? (
+        <div style={styles.empty}>No recorded sessions</div>
+      ) : sessions.map(session => (
+        <div key={session.id} style={styles.row}>
+          <span style={styles.name}>{session.name}</span>
+          <span style={styles.meta}>{new Date(session.startedAt).toLocaleString()}</span>
+          <span style={styles.meta}>{formatDuration(session.endedAt - session.startedAt)}</span>
+          <span style={styles.meta}>{session.messageCount} msgs</span>
+          <button style={styles.button} onClick={() => onReplay(session)}>REPLAY</button>
+          <button style={styles.button} onClick={() => handleExport(session)}>EXPORT</button>
+          <button style={styles.button} onClick={() => handleDelete(session)}>DELETE</button>
+        </div>
+      ))}
+    </div>
+  )
+}
+
+const styles = {
+  container: {
+    background: '#12171f',
+    borderRadius: '8px',
+    padding: '20px',
+    border: '1px solid #2a2e38',
+  },
+  header: {
+    display: 'flex',
+    alignItems: 'center',
+    gap: '8px',
+    marginBottom: '12px',
+  },
+  title: {
+    color: '#00D9FF',
+    fontSize: '12px',
+    letterSpacing: '2px',
+    margin: 0,
+    flex: 1,
+  },
+  nameInput: {
+    padding: '4px 8px',
+    background: '#1a1f29',
+    color: '#b3b1ad',
+    border: '1px solid #2a2e38',
+    borderRadius: '4px',
+    fontSize: '11px',
+    fontFamily: "'SF Mono', monospace",
+    width: '200px',
+  },
+  button: {
+    padding: '4px 10px',
+    border: '1px solid #2a2e38',
+    borderRadius: '4px',
+    background: 'transparent',
+    color: '#b3b1ad',
+    cursor: 'pointer',
+    fontSize: '11px',
+    fontWeight: 'bold',
+    fontFamily: "'SF Mono', monospace",
+  },
+  error: {
+    color: '#FF4444',
+    fontSize: '12px',
+    marginBottom: '8px',
+  },
+  empty: {
+    color: '#666',
+    fontSize: '12px',
+  },
+  row: {
+    display: 'flex',
+    alignItems: 'center',
+    gap: '12px',
+    padding: '6px 0',
+    fontSize: '12px',
+    borderTop: '1px solid #1a1f29',
+  },
+  name: {
+    flex: 1,
+    color: '#FFD700',
+  },
+  meta: {
+    color: '#666',
+  },
+}
@@ -0,0 +1,285 @@
+import { useEffect, useRef, useState } from 'react'
+import { SIGNAL_HORIZONS } from '../signalQuality'
+import { tierLabel } from '../pressure'
+
+const HEIGHT = 240
+const PAD = { top: 10, right: 10, bottom: 20, left: 44 }
+
+const horizonLabel = (horizon) => `${horizon / 1000}s`
+const formatCorrelation = (value) => (value === null ? '---' : `${value >= 0 ? '+' : ''}${value.toFixed(3)}`)
+
+// Least-squares fit of move on imbalance, or null without spread in imbalance
+function fitLine(points) {
+  const n = points.length
+  if (n < 2) return null
+  let sx = 0
+  let sy = 0
+  let sxx = 0
+  let sxy = 0
+  points.forEach(([x, y]) => {
+    sx += x
+    sy += y
+    sxx += x * x
+    sxy += x * y
+  })
+  const variance = sxx - (sx * sx) / n
+  if (variance <= 1e-12) return null
+  const slope = (sxy - (sx * sy) / n) / variance
+  return { slope, intercept: (sy - slope * sx) / n }
+}
+
+// Imbalance (-1..1) across, mid move in bps up; green where the move followed the imbalance
+function drawScatter(ctx, points, width) {
+  const plotWidth = width - PAD.left - PAD.right
+  const plotHeight = HEIGHT - PAD.top - PAD.bottom
+  const range = Math.max(0.5, ...points.map(([, y]) => Math.abs(y)))
+  const x = (value) => PAD.left + ((value + 1) / 2) * plotWidth
+  const y = (move) => PAD.top + plotHeight / 2 - (move / range) * (plotHeight / 2)
+
+  ctx.strokeStyle = '#2a2e38'
+  ctx.lineWidth = 1
+  ctx.beginPath()
+  ctx.moveTo(x(0), PAD.top)
+  ctx.lineTo(x(0), PAD.top + plotHeight)
+  ctx.moveTo(PAD.left, y(0))
+  ctx.lineTo(PAD.left + plotWidth, y(0))
+  ctx.stroke()
+
+  points.forEach(([imbalance, move]) => {
+    const agreement = Math.sign(imbalance) * Math.sign(move)
+    ctx.fillStyle = agreement > 0 ? '#00FF8899' : agreement < 0 ? '#FF444499' : '#66666699'
+    ctx.fillRect(x(imbalance) - 1.5, y(move) - 1.5, 3, 3)
+  })
+
+  const fit = fitLine(points)
+  if (fit) {
+    ctx.strokeStyle = '#00D9FF'
+    ctx.beginPath()
+    ctx.moveTo(x(-1), y(fit.intercept - fit.slope))
+    ctx.lineTo(x(1), y(fit.intercept + fit.slope))
+    ctx.save()
+    ctx.rect(PAD.left, PAD.top, plotWidth, plotHeight)
+    ctx.clip()
+    ctx.stroke()
+    ctx.restore()
+  }
+
+  ctx.fillStyle = '#666'
+  ctx.font = "10px 'SF Mono', monospace"
+  ctx.textAlign = 'right'
+  ctx.textBaseline = 'middle'
+  ctx.fillText(`+${range.toFixed(1)}`, PAD.left - 4, PAD.top)
+  ctx.fillText('0 bps', PAD.left - 4, y(0))
+  ctx.fillText(`-${range.toFixed(1)}`, PAD.left - 4, PAD.top + plotHeight)
+  ctx.textBaseline = 'bottom'
+  ctx.textAlign = 'left'
+  ctx.fillText('-1.0', PAD.left, HEIGHT)
+  ctx.textAlign = 'center'
+  ctx.fillText('imbalance', x(0), HEIGHT)
+  ctx.textAlign = 'right'
+  ctx.fillText('+1.0', PAD.left + plotWidth, HEIGHT)
+}
+
+// How well imbalance predicted the mid price over each horizon: correlation for every
+// model on the same samples, hit rate per pressure tier and a scatter of recent pairs
+// for the model in use
+export default function SignalQualityPanel({ signals, symbol, pressure, onClear }) {
+  const containerRef = useRef(null)
+  const canvasRef = useRef(null)
+  const [width, setWidth] = useState(0)
+  const [horizon, setHorizon] = useState(SIGNAL_HORIZONS[0])
+
+  useEffect(() => {
+    const container = containerRef.current
+    const observer = new ResizeObserver(([entry]) => setWidth(Math.floor(entry.contentRect.width)))
+    observer.observe(container)
+    return () => observer.disconnect()
+  }, [])
+
+  const models = signals?.symbol === symbol ? signals.models : []
+  const current = models.find(model => model.current)?.horizons.find(entry => entry.horizon === horizon)
+  const points = current?.points || []
+
+  useEffect(() => {
+    const canvas = canvasRef.current
+    if (!canvas || width === 0) return
+    const ratio = window.devicePixelRatio || 1
+    canvas.width = width * ratio
+    canvas.height = HEIGHT * ratio
+    const ctx = canvas.getContext('2d')
+    ctx.setTransform(ratio, 0, 0, ratio, 0, 0)
+    ctx.clearRect(0, 0, width, HEIGHT)
+    drawScatter(ctx, points, width)
+  })
+
+  return (
+    <div style={styles.container}>
+      <div style={styles.header}>
+        <h3 style={styles.title}>
+          SIGNAL QUALITY — <span style={{ color: '#FFD700' }}>{symbol}</span>
+          <span style={styles.meta}> imbalance vs. following mid move</span>
+        </h3>
+        <select style={styles.input} value={horizon} onChange={(e) => setHorizon(Number(e.target.value))} title="Horizon">
+          {SIGNAL_HORIZONS.map(value => <option key={value} value={value}>{horizonLabel(value)} ahead</option>)}
+        </select>
+        <button style={styles.button} onClick={onClear} disabled={models.length === 0}>CLEAR</button>
+      </div>
+
+      <div style={styles.body}>
+        <div>
+          <table style={styles.table}>
+            <thead>
+              <tr>
+                <th style={{ ...styles.cell, ...styles.head, textAlign: 'left' }}>MODEL</th>
+                {SIGNAL_HORIZONS.map(value => (
+                  <th key={value} style={{ ...styles.cell, ...styles.head }}>CORR {horizonLabel(value)}</th>
+                ))}
+                <th style={{ ...styles.cell, ...styles.head }}>PAIRS</th>
+              </tr>
+            </thead>
+            <tbody>
+              {models.length === 0 && (
+                <tr><td style={{ ...styles.cell, ...styles.empty }} colSpan={SIGNAL_HORIZONS.length + 2}>Collecting samples…</td></tr>
+              )}
+              {models.map(({ model, current, horizons }) => (
+                <tr key={model} style={current ? styles.selected : undefined}>
+                  <td style={{ ...styles.cell, textAlign: 'left', color: current ? '#00D9FF' : '#b3b1ad' }}>{model}</td>
+                  {horizons.map(({ horizon: value, correlation }) => (
+                    <td key={value} style={{ ...styles.cell, color: correlation > 0 ? '#00FF88' : correlation < 0 ? '#FF4444' : '#666' }}>
+                      {formatCorrelation(correlation)}
+                    </td>
+                  ))}
+                  <td style={{ ...styles.cell, color: '#666' }}>{horizons[0].count}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+
+          <table style={{ ...styles.table, marginTop: '16px' }}>
+            <thead>
+              <tr>
+                <th style={{ ...styles.cell, ...styles.head, textAlign: 'left' }}>TIER ({horizonLabel(horizon)})</th>
+                <th style={{ ...styles.cell, ...styles.head }}>PAIRS</th>
+                <th style={{ ...styles.cell, ...styles.head }}>UP</th>
+                <th style={{ ...styles.cell, ...styles.head }}>DOWN</th>
+                <th style={{ ...styles.cell, ...styles.head }}>HIT RATE</th>
+                <th style={{ ...styles.cell, ...styles.head }}>MEAN MOVE</th>
+              </tr>
+            </thead>
+            <tbody>
+              {(current?.tiers || []).map(({ tier, count, up, down, hitRate, meanMove }) => (
+                <tr key={tier}>
+                  <td style={{ ...styles.cell, textAlign: 'left', color: tier > 0 ? '#00FF88' : tier < 0 ? '#FF4444' : '#666' }}>
+                    {tierLabel(pressure, tier)}
+                  </td>
+                  <td style={styles.cell}>{count}</td>
+                  <td style={styles.cell}>{up}</td>
+                  <td style={styles.cell}>{down}</td>
+                  <td style={styles.cell}>{hitRate === null ? '---' : `${(hitRate * 100).toFixed(1)}%`}</td>
+                  <td style={styles.cell}>{meanMove >= 0 ? '+' : ''}{meanMove.toFixed(2)} bps</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          <div style={styles.hint}>
+            Every model is sampled from the same book states; one picked later counts from then.
+            Hit rate counts moves in the tier's direction over all non-flat moves
+          </div>
+        </div>
+
+        <div ref={containerRef} style={styles.plot}>
+          <canvas ref={canvasRef} style={{ ...styles.canvas, width: `${width}px` }} />
+        </div>
+      </div>
+    </div>
+  )
+}
+
+const styles = {
+  container: {
+    background: '#12171f',
+    borderRadius: '8px',
+    padding: '20px',
+    border: '1px solid #2a2e38',
+  },
+  header: {
+    display: 'flex',
+    alignItems: 'center',
+    gap: '8px',
+    marginBottom: '12px',
+  },
+  title: {
+    color: '#00D9FF',
+    fontSize: '12px',
+    letterSpacing: '2px',
+    margin: 0,
+    flex: 1,
+  },
+  meta: {
+    color: '#666',
+    fontSize: '10px',
+    letterSpacing: '1px',
+    marginLeft: '8px',
+  },
+  input: {
+    padding: '4px 6px',
+    background: '#1a1f29',
+    color: '#b3b1ad',
+    border: '1px solid #2a2e38',
+    borderRadius: '4px',
+    fontSize: '11px',
+    fontFamily: "'SF Mono', monospace",
+  },
+  button: {
+    padding: '4px 10px',
+    border: '1px solid #2a2e38',
+    borderRadius: '4px',
+    background: 'transparent',
+    color: '#b3b1ad',
+    cursor: 'pointer',
+    fontSize: '11px',
+    fontWeight: 'bold',
+    fontFamily: "'SF Mono', monospace",
+  },
+  body: {
+    display: 'grid',
+    gridTemplateColumns: 'minmax(0, 3fr) minmax(0, 2fr)',
+    gap: '20px',
+  },
+  table: {
+    width: '100%',
+    borderCollapse: 'collapse',
+    fontSize: '12px',
+  },
+  cell: {
+    padding: '6px 8px',
+    textAlign: 'right',
+    borderTop: '1px solid #1a1f29',
+  },
+  head: {
+    color: '#666',
+    fontSize: '10px',
+    letterSpacing: '1px',
+    fontWeight: 'normal',
+    borderTop: 'none',
+  },
+  selected: {
+    background: '#1a1f29',
+  },
+  empty: {
+    textAlign: 'left',
+    color: '#666',
+  },
+  hint: {
+    color: '#666',
+    fontSize: '10px',
+    marginTop: '8px',
+  },
+  plot: {
+    height: `${HEIGHT}px`,
+  },
+  canvas: {
+    display: 'block',
+    height: `${HEIGHT}px`,
+  },
+}
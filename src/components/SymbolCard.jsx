@@ -0,0 +1,120 @@
+// Compact live summary of one symbol for the overview grid
+export default function SymbolCard({ symbol, summary, syncColor, onSelect }) {
+  const { imbalance = 0, spread = 0, midPrice = 0, samples = [] } = summary || {}
+  const color = imbalance >= 0 ? '#00FF88' : '#FF4444'
+
+  return (
+    <button style={styles.card} onClick={() => onSelect(symbol)}>
+      <div style={styles.header}>
+        <span style={{ ...styles.syncBadge, background: syncColor }} />
+        <span style={styles.symbol}>{symbol}</span>
+        <span style={{ ...styles.value, color }}>
+          {imbalance >= 0 ? '+' : ''}{imbalance.toFixed(3)}
+        </span>
+      </div>
+
+      <div style={styles.gaugeTrack}>
+        <div style={{
+          ...styles.gaugeFill,
+          left: imbalance >= 0 ? '50%' : `${50 + imbalance * 50}%`,
+          width: `${Math.abs(imbalance) * 50}%`,
+          background: color,
+        }} />
+        <div style={styles.gaugeCenter} />
+      </div>
+
+      <div style={styles.sparkline}>
+        {samples.map((val, i) => val !== null && (
+          <div
+            key={i}
+            style={{
+              ...styles.sparkBar,
+              height: `${Math.abs(val) * 50}%`,
+              background: val >= 0 ? '#00FF88' : '#FF4444',
+              bottom: val >= 0 ? '50%' : 'auto',
+              top: val >= 0 ? 'auto' : '50%',
+              left: `${(i / samples.length) * 100}%`,
+              width: `${100 / samples.length}%`,
+            }}
+          />
+        ))}
+      </div>
+
+      <div style={styles.stats}>
+        <span>MID <span style={{ color: '#FFD700' }}>{midPrice > 0 ? `$${midPrice.toLocaleString()}` : '---'}</span></span>
+        <span>SPREAD <span style={{ color: '#FFD700' }}>{spread > 0 ? `$${spread.toPrecision(3)}` : '---'}</span></span>
+      </div>
+    </button>
+  )
+}
+
+const styles = {
+  card: {
+    display: 'flex',
+    flexDirection: 'column',
+    gap: '12px',
+    padding: '16px',
+    background: '#12171f',
+    border: '1px solid #2a2e38',
+    borderRadius: '8px',
+    color: '#b3b1ad',
+    cursor: 'pointer',
+    textAlign: 'left',
+    fontFamily: "'SF Mono', monospace",
+  },
+  header: {
+    display: 'flex',
+    alignItems: 'center',
+    gap: '8px',
+  },
+  syncBadge: {
+    width: '6px',
+    height: '6px',
+    borderRadius: '50%',
+  },
+  symbol: {
+    flex: 1,
+    color: '#FFD700',
+    fontSize: '13px',
+    fontWeight: 'bold',
+  },
+  value: {
+    fontSize: '18px',
+    fontWeight: 'bold',
+  },
+  gaugeTrack: {
+    position: 'relative',
+    height: '6px',
+    background: '#2a2e38',
+    borderRadius: '3px',
+  },
+  gaugeFill: {
+    position: 'absolute',
+    top: 0,
+    height: '100%',
+    borderRadius: '3px',
+  },
+  gaugeCenter: {
+    position: 'absolute',
+    left: '50%',
+    top: '-2px',
+    width: '1px',
+    height: '10px',
+    background: '#666',
+  },
+  sparkline: {
+    position: 'relative',
+    height: '40px',
+    background: '#1a1f29',
+    borderRadius: '4px',
+  },
+  sparkBar: {
+    position: 'absolute',
+  },
+  stats: {
+    display: 'flex',
+    justifyContent: 'space-between',
+    fontSize: '11px',
+    color: '#666',
+  },
+}
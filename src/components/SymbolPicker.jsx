@@ -0,0 +1,138 @@
+import { useState } from 'react'
+
+// Most pairs shown at once; the search narrows the rest down
+const MAX_RESULTS = 50
+
+// Searchable list of discovered pairs; the star adds or removes a pair from the watchlist
+export default function SymbolPicker({ pairs, error, watchlist, onToggle }) {
+  const [open, setOpen] = useState(false)
+  const [query, setQuery] = useState('')
+
+  const search = query.trim().toUpperCase()
+  const matches = (pairs || [])
+    .filter(({ symbol }) => !search || symbol.replace('/', '').includes(search.replace('/', '')))
+    .slice(0, MAX_RESULTS)
+
+  return (
+    <div style={styles.container}>
+      <button style={styles.toggle} onClick={() => setOpen(!open)} title="Find pairs and edit the watchlist">
+        + PAIRS
+      </button>
+      {open && (
+        <div style={styles.panel}>
+          <input
+            style={styles.search}
+            placeholder="Search pairs, e.g. DOGE or EUR"
+            value={query}
+            autoFocus
+            onChange={(e) => setQuery(e.target.value)}
+          />
+          {error && <div style={styles.error}>Pair list unavailable: {error}</div>}
+          {!error && !pairs && <div style={styles.empty}>Loading pairs…</div>}
+          {pairs && matches.length === 0 && <div style={styles.empty}>No matching pairs</div>}
+          <div style={styles.list}>
+            {matches.map(({ symbol, precision }) => {
+              const watched = watchlist.includes(symbol)
+              return (
+                <button
+                  key={symbol}
+                  style={styles.row}
+                  onClick={() => onToggle(symbol)}
+                  disabled={watched && watchlist.length === 1}
+                >
+                  <span style={{ color: watched ? '#FFD700' : '#666' }}>{watched ? '★' : '☆'}</span>
+                  <span style={styles.symbol}>{symbol}</span>
+                  <span style={styles.meta}>{precision[0]}/{precision[1]} dp</span>
+                </button>
+              )
+            })}
+          </div>
+          {pairs && (
+            <div style={styles.footer}>
+              {pairs.length} pairs · {watchlist.length} watched
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  )
+}
+
+const styles = {
+  container: {
+    position: 'relative',
+  },
+  toggle: {
+    padding: '6px 12px',
+    border: '1px dashed #2a2e38',
+    borderRadius: '4px',
+    background: 'transparent',
+    color: '#00D9FF',
+    cursor: 'pointer',
+    fontSize: '12px',
+    fontWeight: 'bold',
+    fontFamily: "'SF Mono', monospace",
+  },
+  panel: {
+    position: 'absolute',
+    top: '36px',
+    left: 0,
+    zIndex: 10,
+    width: '280px',
+    padding: '10px',
+    background: '#12171f',
+    border: '1px solid #2a2e38',
+    borderRadius: '8px',
+    boxShadow: '0 8px 24px #00000080',
+  },
+  search: {
+    width: '100%',
+    boxSizing: 'border-box',
+    padding: '6px 8px',
+    marginBottom: '8px',
+    background: '#1a1f29',
+    color: '#b3b1ad',
+    border: '1px solid #2a2e38',
+    borderRadius: '4px',
+    fontSize: '12px',
+    fontFamily: "'SF Mono', monospace",
+  },
+  list: {
+    maxHeight: '320px',
+    overflowY: 'auto',
+  },
+  row: {
+    display: 'flex',
+    alignItems: 'center',
+    gap: '8px',
+    width: '100%',
+    padding: '5px 4px',
+    border: 'none',
+    background: 'transparent',
+    color: '#b3b1ad',
+    cursor: 'pointer',
+    fontSize: '12px',
+    fontFamily: "'SF Mono', monospace",
+    textAlign: 'left',
+  },
+  symbol: {
+    flex: 1,
+  },
+  meta: {
+    color: '#666',
+    fontSize: '10px',
+  },
+  error: {
+    color: '#FF4444',
+    fontSize: '12px',
+  },
+  empty: {
+    color: '#666',
+    fontSize: '12px',
+  },
+  footer: {
+    marginTop: '8px',
+    color: '#666',
+    fontSize: '10px',
+  },
+}
@@ -0,0 +1,40 @@
+const formatTime = (time) => new Date(time).toLocaleTimeString([], { hour12: false })
+
+// Clock times spread evenly between start and end, for charts drawn left to right in time
+export default function TimeAxis({ start, end, ticks = 5 }) {
+  if (!start || !end || end <= start) return <div style={styles.axis} />
+
+  return (
+    <div style={styles.axis}>
+      {Array.from({ length: ticks }, (_, i) => {
+        const fraction = i / (ticks - 1)
+        return (
+          <span
+            key={i}
+            style={{
+              ...styles.tick,
+              left: `${fraction * 100}%`,
+              transform: `translateX(-${fraction * 100}%)`,
+            }}
+          >
+            {formatTime(start + (end - start) * fraction)}
+          </span>
+        )
+      })}
+    </div>
+  )
+}
+
+const styles = {
+  axis: {
+    position: 'relative',
+    height: '14px',
+    marginTop: '5px',
+  },
+  tick: {
+    position: 'absolute',
+    fontSize: '10px',
+    color: '#666',
+    whiteSpace: 'nowrap',
+  },
+}
@@ -0,0 +1,64 @@
+const formatTime = (time) => (time ? new Date(time).toLocaleTimeString([], { hour12: false }) : '--:--:--')
+
+// Latest trades, newest first, coloured by aggressor side
+export default function TradeTape({ trades }) {
+  return (
+    <div style={styles.container}>
+      <h3 style={styles.title}>TRADES</h3>
+      <div style={styles.list}>
+        {trades.length === 0 && <div style={styles.empty}>No trades yet</div>}
+        {trades.map((trade, i) => (
+          <div key={trade.id ?? i} style={styles.row}>
+            <span style={styles.time}>{formatTime(trade.time)}</span>
+            <span style={{ ...styles.side, color: trade.side === 'buy' ? '#00FF88' : '#FF4444' }}>
+              {trade.side === 'buy' ? '▲ BUY' : '▼ SELL'}
+            </span>
+            <span>{trade.qty.toFixed(4)}</span>
+            <span style={styles.price}>${trade.price.toLocaleString()}</span>
+          </div>
+        ))}
+      </div>
+    </div>
+  )
+}
+
+const styles = {
+  container: {
+    background: '#12171f',
+    borderRadius: '8px',
+    padding: '20px',
+    border: '1px solid #2a2e38',
+  },
+  title: {
+    color: '#00D9FF',
+    fontSize: '12px',
+    letterSpacing: '2px',
+    marginBottom: '15px',
+    marginTop: 0,
+  },
+  list: {
+    maxHeight: '300px',
+    overflowY: 'auto',
+  },
+  empty: {
+    color: '#666',
+    fontSize: '12px',
+  },
+  row: {
+    display: 'flex',
+    justifyContent: 'space-between',
+    gap: '8px',
+    padding: '6px 0',
+    fontSize: '12px',
+  },
+  time: {
+    color: '#666',
+  },
+  side: {
+    fontWeight: 'bold',
+    minWidth: '56px',
+  },
+  price: {
+    color: '#b3b1ad',
+  },
+}
@@ -0,0 +1,14 @@
+export const SYMBOLS = ['BTC/USD', 'ETH/USD', 'SOL/USD', 'XRP/USD', 'ADA/USD']
+// Default book depth, and the depths Kraken's book channel accepts
+export const DEPTH = 25
+export const DEPTHS = [10, 25, 100, 500, 1000]
+
+// Fallback precision for checksums until the instrument channel reports the real one;
+// also what the synthetic feed and the mock generate at
+export const SYMBOL_PRECISION = {
+  'BTC/USD': [1, 8],
+  'ETH/USD': [2, 8],
+  'SOL/USD': [2, 8],
+  'XRP/USD': [5, 8],
+  'ADA/USD': [6, 8],
+}
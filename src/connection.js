@@ -0,0 +1,88 @@
+// WebSocket connection manager with exponential backoff and jitter.
+// Reconnects until close() is called; attempts reset after a successful open.
+
+const BASE_DELAY = 1000
+const MAX_DELAY = 30000
+// Kraken sends a heartbeat every second once subscribed, so a silent socket is a dead one
+const STALE_TIMEOUT = 15000
+
+export function backoffDelay(attempt) {
+  const ceiling = Math.min(MAX_DELAY, BASE_DELAY * 2 ** attempt)
+  return ceiling / 2 + Math.random() * ceiling / 2
+}
+
+export function createConnection({ url, onOpen, onMessage, onStatus }) {
+  let ws = null
+  let attempt = 0
+  let retryTimer = null
+  let staleTimer = null
+  let closed = false
+
+  const report = (state, extra = {}) => onStatus?.({ state, attempt, nextRetryAt: null, ...extra })
+
+  const armStaleTimer = () => {
+    clearTimeout(staleTimer)
+    staleTimer = setTimeout(() => {
+      console.warn('[HAVFLOW] No data for', STALE_TIMEOUT, 'ms, dropping socket')
+      ws?.close()
+    }, STALE_TIMEOUT)
+  }
+
+  const scheduleRetry = () => {
+    if (closed) return
+    const delay = backoffDelay(attempt)
+    attempt++
+    report('Reconnecting', { nextRetryAt: Date.now() + delay })
+    retryTimer = setTimeout(connect, delay)
+  }
+
+  function connect() {
+    if (closed) return
+    report(attempt === 0 ? 'Connecting...' : 'Reconnecting')
+    const socket = new WebSocket(url)
+    ws = socket
+
+    socket.onopen = () => {
+      if (closed || ws !== socket) return
+      console.log('[HAVFLOW] WebSocket connected')
+      attempt = 0
+      report('Connected')
+      armStaleTimer()
+      onOpen?.(send)
+    }
+
+    socket.onmessage = (event) => {
+      if (closed || ws !== socket) return
+      armStaleTimer()
+      onMessage?.(event)
+    }
+
+    socket.onclose = () => {
+      if (ws !== socket) return
+      clearTimeout(staleTimer)
+      ws = null
+      if (closed) return
+      scheduleRetry()
+    }
+
+    // onclose always follows onerror, which is where the retry is scheduled
+    socket.onerror = () => {}
+  }
+
+  function send(payload) {
+    if (ws?.readyState !== WebSocket.OPEN) return false
+    ws.send(JSON.stringify(payload))
+    return true
+  }
+
+  function close() {
+    closed = true
+    clearTimeout(retryTimer)
+    clearTimeout(staleTimer)
+    ws?.close()
+    ws = null
+  }
+
+  connect()
+  return { send, close }
+}
@@ -0,0 +1,45 @@
+// Liquidity heatmap columns: the resting book sampled at a fixed receive-time
+// interval, so walls can be followed as they build up, move and get pulled.
+
+export const HEATMAP_INTERVAL = 250
+// Ten minutes of columns
+export const HEATMAP_COLUMNS = 2400
+// Levels kept per side; deeper books are cut here to bound memory
+export const HEATMAP_LEVELS = 100
+
+// One sampled book state: best bid/ask and every level as [price, qty, price, qty, ...]
+export function bookColumn(ts, bids, asks) {
+  const sides = [bids.slice(0, HEATMAP_LEVELS), asks.slice(0, HEATMAP_LEVELS)]
+  const levels = new Float64Array((sides[0].length + sides[1].length) * 2)
+  let i = 0
+  sides.forEach(side => side.forEach(({ price, qty }) => {
+    levels[i++] = price
+    levels[i++] = qty
+  }))
+  return { t: ts, bid: bids[0]?.price || 0, ask: asks[0]?.price || 0, levels }
+}
+
+// Append a column unless the previous one is less than an interval old
+export function addColumn(buffer, ts, bids, asks) {
+  const previous = buffer.last()
+  if (previous && ts - previous.t < HEATMAP_INTERVAL) return null
+  const column = bookColumn(ts, bids, asks)
+  buffer.push(column)
+  return column
+}
+
+export const HEATMAP_PALETTES = {
+  heat: { label: 'Heat', stops: ['#0a0e14', '#1a237e', '#00D9FF', '#FFD700', '#ffffff'] },
+  cyan: { label: 'Cyan', stops: ['#0a0e14', '#00D9FF'] },
+  fire: { label: 'Fire', stops: ['#0a0e14', '#7f0000', '#FF4444', '#FF8C00', '#FFD700'] },
+  gray: { label: 'Grayscale', stops: ['#0a0e14', '#ffffff'] },
+}
+
+// How quantity maps onto the palette; sqrt and log keep small orders visible next to walls
+export const HEATMAP_SCALES = {
+  linear: { label: 'Linear', apply: (ratio) => ratio },
+  sqrt: { label: 'Sqrt', apply: (ratio) => Math.sqrt(ratio) },
+  log: { label: 'Log', apply: (ratio) => Math.log1p(ratio * 99) / Math.log(100) },
+}
+
+export const DEFAULT_HEATMAP_SCALE = { palette: 'heat', scale: 'sqrt', contrast: 1 }
@@ -0,0 +1,74 @@
+// Imbalance models: each weighs the bid and ask levels differently and returns
+// (bid - ask) / (bid + ask) in -1..1, or null when there is nothing to weigh.
+// A model config is { kind, ...params }.
+
+const distanceBps = (price, mid) => (Math.abs(price - mid) / mid) * 10000
+
+const ratio = (bid, ask) => {
+  const total = bid + ask
+  return total > 0 ? (bid - ask) / total : null
+}
+
+const sum = (levels, weight) => levels.reduce((acc, level) => acc + weight(level) * level.qty, 0)
+
+export const IMBALANCE_MODELS = {
+  flat: {
+    label: 'All levels',
+    params: [],
+    compute: (bids, asks) => ratio(sum(bids, () => 1), sum(asks, () => 1)),
+  },
+  topN: {
+    label: 'Top N',
+    params: [{ key: 'levels', label: 'levels', min: 1, max: 1000, step: 1, default: 5 }],
+    compute: (bids, asks, mid, { levels }) => ratio(
+      sum(bids.slice(0, levels), () => 1),
+      sum(asks.slice(0, levels), () => 1),
+    ),
+  },
+  band: {
+    label: '± Price band',
+    params: [{ key: 'bps', label: 'bps', min: 0.1, max: 10000, step: 0.5, default: 10 }],
+    compute: (bids, asks, mid, { bps }) => {
+      if (!mid) return null
+      const inBand = ({ price }) => (distanceBps(price, mid) <= bps ? 1 : 0)
+      return ratio(sum(bids, inBand), sum(asks, inBand))
+    },
+  },
+  decay: {
+    label: 'Distance decay',
+    params: [{ key: 'halfLife', label: 'half-life bps', min: 0.1, max: 10000, step: 0.5, default: 5 }],
+    compute: (bids, asks, mid, { halfLife }) => {
+      if (!mid) return null
+      const weight = ({ price }) => 0.5 ** (distanceBps(price, mid) / halfLife)
+      return ratio(sum(bids, weight), sum(asks, weight))
+    },
+  },
+  notional: {
+    label: 'Notional',
+    params: [],
+    compute: (bids, asks) => ratio(sum(bids, ({ price }) => price), sum(asks, ({ price }) => price)),
+  },
+}
+
+export const DEFAULT_MODEL = { kind: 'flat' }
+
+// A model config with every parameter filled in
+export function modelConfig(kind, params = {}) {
+  const model = IMBALANCE_MODELS[kind] || IMBALANCE_MODELS.flat
+  const config = { kind: IMBALANCE_MODELS[kind] ? kind : 'flat' }
+  model.params.forEach(({ key, default: fallback }) => {
+    config[key] = Number.isFinite(params[key]) ? params[key] : fallback
+  })
+  return config
+}
+
+export function computeImbalance(config, bids, asks, mid) {
+  const model = IMBALANCE_MODELS[config.kind] || IMBALANCE_MODELS.flat
+  return model.compute(bids, asks, mid, config)
+}
+
+export function describeModel(config) {
+  const model = IMBALANCE_MODELS[config.kind] || IMBALANCE_MODELS.flat
+  const params = model.params.map(({ key, label }) => `${config[key]} ${label}`).join(', ')
+  return params ? `${model.label} (${params})` : model.label
+}
@@ -0,0 +1,21 @@
+import { computeImbalance, DEFAULT_MODEL } from './imbalance'
+
+// Volumes, spread, mid price and imbalance (under the given model) for one book state
+export function bookMetrics(bids, asks, spread, midPrice, model = DEFAULT_MODEL) {
+  // Calculate volumes (SDK returns {price, qty} objects)
+  const bidVolume = bids.reduce((sum, b) => sum + (b.qty || b[1] || 0), 0)
+  const askVolume = asks.reduce((sum, a) => sum + (a.qty || a[1] || 0), 0)
+
+  return {
+    stats: { bidVolume, askVolume, spread: spread || 0, midPrice: midPrice || 0 },
+    imbalance: computeImbalance(model, bids, asks, midPrice),
+  }
+}
+
+// Spread and mid price from the best levels, for book states the SDK doesn't summarise
+export function touch(bids, asks) {
+  const bestBid = bids[0]?.price || 0
+  const bestAsk = asks[0]?.price || 0
+  if (!bestBid || !bestAsk) return { spread: 0, midPrice: 0 }
+  return { spread: bestAsk - bestBid, midPrice: (bestAsk + bestBid) / 2 }
+}
@@ -0,0 +1,40 @@
+// Desktop notifications and a short tone for fired alerts. Main thread only.
+
+const TONE_HZ = 880
+const TONE_SECONDS = 0.15
+
+let audio = null
+
+export function notificationPermission() {
+  return typeof Notification === 'undefined' ? 'unsupported' : Notification.permission
+}
+
+export async function requestNotifications() {
+  if (notificationPermission() === 'unsupported') return 'unsupported'
+  return Notification.requestPermission()
+}
+
+function playTone() {
+  try {
+    audio ||= new AudioContext()
+    if (audio.state === 'suspended') audio.resume()
+    const oscillator = audio.createOscillator()
+    const gain = audio.createGain()
+    oscillator.frequency.value = TONE_HZ
+    gain.gain.setValueAtTime(0.2, audio.currentTime)
+    gain.gain.exponentialRampToValueAtTime(0.001, audio.currentTime + TONE_SECONDS)
+    oscillator.connect(gain).connect(audio.destination)
+    oscillator.start()
+    oscillator.stop(audio.currentTime + TONE_SECONDS)
+  } catch (e) {
+    console.warn('[HAVFLOW] Alert sound unavailable:', e)
+  }
+}
+
+export function notify(alert) {
+  if (notificationPermission() === 'granted') {
+    // One notification per rule and symbol on screen at a time
+    new Notification(`HAVFLOW — ${alert.symbol}`, { body: alert.message, tag: `${alert.ruleId} ${alert.symbol}` })
+  }
+  if (alert.sound) playTone()
+}
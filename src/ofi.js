@@ -0,0 +1,69 @@
+// Order flow imbalance after Cont, Kukanov & Stoikov: each book event contributes
+// the change in queue size at the best bid minus the change at the best ask, where
+// a price improvement counts the new queue in full and a retreat the old one out.
+// Contributions are summed over rolling windows of receive time.
+
+import { createRollingWindows } from './rollingWindows'
+
+export const OFI_WINDOWS = [1000, 10000, 60000]
+
+// Contribution of one transition between best levels { bid, bidQty, ask, askQty }
+export function ofiContribution(prev, next) {
+  let e = 0
+  if (next.bid >= prev.bid) e += next.bidQty
+  if (next.bid <= prev.bid) e -= prev.bidQty
+  if (next.ask <= prev.ask) e -= next.askQty
+  if (next.ask >= prev.ask) e += prev.askQty
+  return e
+}
+
+function bestLevels(bids, asks) {
+  if (!bids[0] || !asks[0]) return null
+  return { bid: bids[0].price, bidQty: bids[0].qty, ask: asks[0].price, askQty: asks[0].qty }
+}
+
+// Rolling OFI for one symbol
+export function createOfiTracker(windows = OFI_WINDOWS) {
+  // { ts, e } events, summed per window as OFI and gross flow
+  const events = createRollingWindows(windows, ({ e }) => [e, Math.abs(e)])
+  let prev = null
+  let latest = 0
+
+  // Fold in a new book state; a snapshot starts a fresh comparison without contributing
+  function update(bids, asks, ts, isSnapshot = false) {
+    const next = bestLevels(bids, asks)
+    if (!next) return
+    if (prev && !isSnapshot) {
+      const e = ofiContribution(prev, next)
+      if (e !== 0) events.add({ ts, e })
+    }
+    prev = next
+    latest = Math.max(latest, ts)
+    events.expire(latest)
+  }
+
+  // Per window at now: summed OFI, and the same divided by the gross flow (-1..1).
+  // A quiet book gets no updates, so its windows are expired here too
+  function values(now = latest) {
+    events.expire(Math.max(latest, now))
+    return windows.map((span, w) => {
+      if (events.count(w) === 0) return { window: span, ofi: 0, normalized: 0 }
+      const [ofi, volume] = events.sums(w)
+      // Running sums drift by rounding, which can push the ratio a hair past ±1
+      return { window: span, ofi, normalized: volume > 0 ? Math.max(-1, Math.min(1, ofi / volume)) : 0 }
+    })
+  }
+
+  // Forget the previous best levels, e.g. after a gap in the feed
+  function breakChain() {
+    prev = null
+  }
+
+  function reset() {
+    events.clear()
+    prev = null
+    latest = 0
+  }
+
+  return { update, values, breakChain, reset }
+}
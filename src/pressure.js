@@ -0,0 +1,77 @@
+// Pressure classification: imbalance mapped onto signed tiers (+k buy, -k sell, 0 balanced).
+// A tier is entered at its threshold and only left once the imbalance falls the
+// hysteresis below it, and a new tier is held for at least the dwell time, so the
+// label doesn't flicker around a boundary. A config is { tiers: [{ label, enter }], hysteresis, dwell }.
+
+export const MAX_TIERS = 5
+
+export const DEFAULT_PRESSURE = {
+  tiers: [
+    { label: 'WEAK', enter: 0.1 },
+    { label: 'MODERATE', enter: 0.25 },
+    { label: 'STRONG', enter: 0.5 },
+  ],
+  hysteresis: 0.05,
+  dwell: 1000,
+}
+
+const clamp = (value, min, max, fallback) => (Number.isFinite(value) ? Math.min(max, Math.max(min, value)) : fallback)
+
+// A config with valid values and tiers in ascending order
+export function pressureConfig(raw = {}) {
+  const tiers = (Array.isArray(raw.tiers) && raw.tiers.length > 0 ? raw.tiers : DEFAULT_PRESSURE.tiers)
+    .slice(0, MAX_TIERS)
+    .map(({ label, enter }) => ({ label: String(label || '').toUpperCase(), enter: clamp(enter, 0.01, 1, 0.5) }))
+    .sort((a, b) => a.enter - b.enter)
+  return {
+    tiers,
+    hysteresis: clamp(raw.hysteresis, 0, 0.5, DEFAULT_PRESSURE.hysteresis),
+    dwell: clamp(raw.dwell, 0, 60000, DEFAULT_PRESSURE.dwell),
+  }
+}
+
+// e.g. "STRONG BUY PRESSURE", or "BALANCED" for tier 0
+export function tierLabel(config, tier) {
+  if (!tier) return 'BALANCED'
+  const name = config.tiers[Math.abs(tier) - 1]?.label
+  return `${name ? `${name} ` : ''}${tier > 0 ? 'BUY' : 'SELL'} PRESSURE`
+}
+
+// Tier the value points to from the current one: entry thresholds going up or
+// switching sides, exit thresholds (entry minus hysteresis) on the way down
+export function targetTier({ tiers, hysteresis }, current, value) {
+  const side = Math.sign(value)
+  const magnitude = Math.abs(value)
+  const reached = (offset) => tiers.filter(({ enter }) => magnitude >= enter - offset).length
+  const entered = reached(0)
+  if (side === 0 || side !== Math.sign(current)) return side * entered
+  return side * Math.max(entered, Math.min(Math.abs(current), reached(hysteresis)))
+}
+
+export function createPressureClassifier(config) {
+  let tier = 0
+  let since = null
+
+  // Returns a { time, from, to } event when the tier changes
+  function update(value, time) {
+    if (value === null || value === undefined) return null
+    since ??= time
+    const target = targetTier(config, tier, value)
+    if (target === tier || time - since < config.dwell) return null
+    const event = { time, from: tier, to: target }
+    tier = target
+    since = time
+    return event
+  }
+
+  function reset() {
+    tier = 0
+    since = null
+  }
+
+  return {
+    update,
+    reset,
+    get tier() { return tier },
+  }
+}
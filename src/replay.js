@@ -0,0 +1,137 @@
+// Plays recorded { ts, data } messages back on a virtual clock.
+// Positions are milliseconds since the first recorded message.
+
+import { DEPTHS } from './config'
+
+export const REPLAY_SPEEDS = [0.25, 0.5, 1, 2, 5, 10, 25, 50]
+
+const TICK_MS = 16
+const PROGRESS_INTERVAL = 100
+
+// Symbol of a raw book snapshot message, or null for anything else
+function snapshotSymbol(data) {
+  try {
+    const msg = JSON.parse(data)
+    return msg.channel === 'book' && msg.type === 'snapshot' ? msg.data?.[0]?.symbol || null : null
+  } catch (e) {
+    return null
+  }
+}
+
+// Book depth a session was recorded at, from its deepest snapshot, for sessions that
+// don't say; null when it has no snapshot
+export function recordedDepth(messages) {
+  let levels = 0
+  messages.forEach(({ data }) => {
+    if (!data.includes('"snapshot"') || !snapshotSymbol(data)) return
+    const { bids = [], asks = [] } = JSON.parse(data).data[0]
+    levels = Math.max(levels, bids.length, asks.length)
+  })
+  if (levels === 0) return null
+  return DEPTHS.find(depth => depth >= levels) ?? DEPTHS[DEPTHS.length - 1]
+}
+
+export function createReplayPlayer(messages, { onMessage, onSeek, onProgress }) {
+  const startTs = messages[0].ts
+  const duration = messages[messages.length - 1].ts - startTs
+  let index = 0
+  let position = 0
+  let speed = 1
+  let playing = false
+  let timer = null
+  let lastTick = 0
+  let lastReport = 0
+  // Index of every book snapshot, per symbol, built on the first seek
+  let snapshots = null
+
+  const report = (force) => {
+    const now = performance.now()
+    if (!force && now - lastReport < PROGRESS_INTERVAL) return
+    lastReport = now
+    onProgress?.({ position, duration, playing, speed, index, total: messages.length })
+  }
+
+  const emitUntil = (target) => {
+    while (index < messages.length && messages[index].ts - startTs <= target) {
+      const { data, ts } = messages[index++]
+      onMessage(data, ts)
+    }
+  }
+
+  function tick() {
+    const now = performance.now()
+    position = Math.min(duration, position + (now - lastTick) * speed)
+    lastTick = now
+    emitUntil(position)
+    if (index >= messages.length) {
+      pause()
+      return
+    }
+    report(false)
+    timer = setTimeout(tick, TICK_MS)
+  }
+
+  function play() {
+    if (playing) return
+    if (index >= messages.length) seek(0)
+    playing = true
+    lastTick = performance.now()
+    timer = setTimeout(tick, TICK_MS)
+    report(true)
+  }
+
+  function pause() {
+    playing = false
+    clearTimeout(timer)
+    report(true)
+  }
+
+  // Emit exactly one message and move the clock to it
+  function step() {
+    if (playing) pause()
+    if (index >= messages.length) return
+    position = messages[index].ts - startTs
+    const { data, ts } = messages[index++]
+    onMessage(data, ts)
+    report(true)
+  }
+
+  function setSpeed(value) {
+    speed = value
+    report(true)
+  }
+
+  // Rebuild the book state at target: hand the caller every message since the
+  // latest snapshot of each symbol, so it can start from fresh books and apply them at once
+  function seek(target) {
+    position = Math.max(0, Math.min(duration, target))
+    snapshots ||= messages.reduce((acc, { data }, i) => {
+      const symbol = snapshotSymbol(data)
+      if (symbol) (acc[symbol] ||= []).push(i)
+      return acc
+    }, {})
+
+    let end = 0
+    while (end < messages.length && messages[end].ts - startTs <= position) end++
+
+    let start = end
+    Object.values(snapshots).forEach(indexes => {
+      // Updates before a symbol's first snapshot are ignored by the book anyway
+      const before = indexes.filter(i => i < end)
+      if (before.length > 0) start = Math.min(start, before[before.length - 1])
+    })
+
+    index = end
+    lastTick = performance.now()
+    onSeek(messages.slice(start, end))
+    report(true)
+  }
+
+  function stop() {
+    playing = false
+    clearTimeout(timer)
+  }
+
+  report(true)
+  return { play, pause, step, setSpeed, seek, stop }
+}
@@ -0,0 +1,37 @@
+// Fixed-capacity buffer that overwrites its oldest entry once full
+export function createRingBuffer(capacity) {
+  const items = new Array(capacity)
+  let start = 0
+  let length = 0
+
+  function push(item) {
+    items[(start + length) % capacity] = item
+    if (length < capacity) length++
+    else start = (start + 1) % capacity
+  }
+
+  // Oldest first
+  function toArray() {
+    const result = new Array(length)
+    for (let i = 0; i < length; i++) result[i] = items[(start + i) % capacity]
+    return result
+  }
+
+  function last() {
+    return length > 0 ? items[(start + length - 1) % capacity] : undefined
+  }
+
+  function clear() {
+    items.fill(undefined)
+    start = 0
+    length = 0
+  }
+
+  return {
+    push,
+    toArray,
+    last,
+    clear,
+    get length() { return length },
+  }
+}
@@ -0,0 +1,67 @@
+// Rolling statistics of imbalance over windows of receive time, from every book
+// message, so a reading can be judged against the pair's own recent regime.
+// Mean and stdev come from running sums; min/max and percentile rank scan the window.
+
+import { createRollingWindows } from './rollingWindows'
+
+export const STATS_WINDOWS = [
+  { label: '1m', ms: 60000 },
+  { label: '5m', ms: 300000 },
+  { label: '15m', ms: 900000 },
+]
+
+// Range of the z-score gauge, in standard deviations either side
+export const Z_RANGE = 3
+
+export function createRollingStats(windows = STATS_WINDOWS.map(({ ms }) => ms)) {
+  // { ts, value } samples, summed per window as values and squares
+  const samples = createRollingWindows(windows, ({ value }) => [value, value * value])
+  let latest = 0
+
+  function add(ts, value) {
+    samples.add({ ts, value })
+    latest = Math.max(latest, ts)
+    samples.expire(latest)
+  }
+
+  // Mean, stdev, min/max, the latest value's percentile rank and z-score at now, or null
+  // when empty. A quiet book adds nothing, so its windows are expired here too
+  function summary(span, now = latest) {
+    const w = windows.indexOf(span)
+    if (w === -1) return null
+    samples.expire(Math.max(latest, now))
+    const count = samples.count(w)
+    if (count === 0) return null
+
+    const last = samples.last().value
+    const [sum, squares] = samples.sums(w)
+    const mean = sum / count
+    // Running sums drift by rounding; a variance a hair below zero is zero
+    const stdev = Math.sqrt(Math.max(0, squares / count - mean * mean))
+    let min = Infinity
+    let max = -Infinity
+    let below = 0
+    samples.forEach(w, ({ value }) => {
+      if (value < min) min = value
+      if (value > max) max = value
+      if (value <= last) below++
+    })
+    return {
+      count,
+      last,
+      mean,
+      stdev,
+      min,
+      max,
+      percentile: (below / count) * 100,
+      z: stdev > 1e-9 ? (last - mean) / stdev : 0,
+    }
+  }
+
+  function reset() {
+    samples.clear()
+    latest = 0
+  }
+
+  return { add, summary, reset }
+}
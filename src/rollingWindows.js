@@ -0,0 +1,58 @@
+// Entries over rolling windows of receive time, oldest first. Each window keeps the
+// index of its oldest entry and running sums of what measure(entry) returns, so
+// adding and expiring are cheap; a window can also be walked entry by entry.
+// Entries are { ts, ... }; windows are spans in ms, addressed by their index.
+export function createRollingWindows(windows, measure = () => []) {
+  let entries = []
+  let starts = windows.map(() => 0)
+  let sums = windows.map(() => [])
+
+  function add(entry) {
+    entries.push(entry)
+    const values = measure(entry)
+    sums = sums.map(sum => values.map((value, i) => (sum[i] || 0) + value))
+  }
+
+  // Drop entries that have left each window by now, handing each to onExpire(w, entry)
+  function expire(now, onExpire) {
+    windows.forEach((span, w) => {
+      while (starts[w] < entries.length && entries[starts[w]].ts <= now - span) {
+        const entry = entries[starts[w]++]
+        const values = measure(entry)
+        sums[w] = sums[w].map((sum, i) => sum - values[i])
+        onExpire?.(w, entry)
+      }
+      // Subtraction leaves rounding behind; an empty window sums to exactly zero
+      if (starts[w] === entries.length) sums[w] = sums[w].map(() => 0)
+    })
+    // Compact once every window has moved well past the front
+    const oldest = Math.min(...starts)
+    if (oldest > 1024) {
+      entries = entries.slice(oldest)
+      starts = starts.map(start => start - oldest)
+    }
+  }
+
+  const count = (w) => entries.length - starts[w]
+
+  function forEach(w, fn) {
+    for (let i = starts[w]; i < entries.length; i++) fn(entries[i])
+  }
+
+  function clear() {
+    entries = []
+    starts = windows.map(() => 0)
+    sums = windows.map(() => [])
+  }
+
+  return {
+    add,
+    expire,
+    count,
+    forEach,
+    clear,
+    // Running sums of the window, in measure's order; empty before anything was added
+    sums: (w) => sums[w],
+    last: () => entries[entries.length - 1],
+  }
+}
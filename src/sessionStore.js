@@ -0,0 +1,148 @@
+// Recorded feed sessions in IndexedDB.
+//
+// sessions: { id, name, startedAt, endedAt, messageCount, depth } where depth is the book
+// depth it was recorded at, absent in older sessions
+// messages: { sessionId, ts, data } where data is the raw socket string
+//
+// NDJSON export: a header line { havflow: 1, name, startedAt, endedAt, messageCount, depth }
+// followed by one { ts, data } line per message.
+
+const DB_NAME = 'havflow'
+const DB_VERSION = 1
+// Buffered messages are written in one transaction at this interval
+const FLUSH_INTERVAL = 500
+const IMPORT_CHUNK = 5000
+
+let dbPromise = null
+
+function request(req) {
+  return new Promise((resolve, reject) => {
+    req.onsuccess = () => resolve(req.result)
+    req.onerror = () => reject(req.error)
+  })
+}
+
+function done(tx) {
+  return new Promise((resolve, reject) => {
+    tx.oncomplete = () => resolve()
+    tx.onerror = () => reject(tx.error)
+    tx.onabort = () => reject(tx.error)
+  })
+}
+
+function openDb() {
+  dbPromise ||= new Promise((resolve, reject) => {
+    const req = indexedDB.open(DB_NAME, DB_VERSION)
+    req.onupgradeneeded = () => {
+      const db = req.result
+      db.createObjectStore('sessions', { keyPath: 'id', autoIncrement: true })
+      const messages = db.createObjectStore('messages', { autoIncrement: true })
+      messages.createIndex('session', 'sessionId')
+    }
+    req.onsuccess = () => resolve(req.result)
+    req.onerror = () => reject(req.error)
+  })
+  return dbPromise
+}
+
+async function createSession(name, startedAt, depth) {
+  const db = await openDb()
+  const session = { name, startedAt, endedAt: startedAt, messageCount: 0, ...(depth && { depth }) }
+  const id = await request(db.transaction('sessions', 'readwrite').objectStore('sessions').add(session))
+  return { id, ...session }
+}
+
+async function appendMessages(session, batch) {
+  const db = await openDb()
+  const tx = db.transaction(['sessions', 'messages'], 'readwrite')
+  const messages = tx.objectStore('messages')
+  batch.forEach(({ ts, data }) => messages.add({ sessionId: session.id, ts, data }))
+  session.messageCount += batch.length
+  session.endedAt = batch[batch.length - 1].ts
+  tx.objectStore('sessions').put(session)
+  await done(tx)
+}
+
+export async function listSessions() {
+  const db = await openDb()
+  const sessions = await request(db.transaction('sessions').objectStore('sessions').getAll())
+  return sessions.sort((a, b) => b.startedAt - a.startedAt)
+}
+
+export async function loadMessages(sessionId) {
+  const db = await openDb()
+  const index = db.transaction('messages').objectStore('messages').index('session')
+  const messages = await request(index.getAll(sessionId))
+  return messages.map(({ ts, data }) => ({ ts, data }))
+}
+
+export async function deleteSession(sessionId) {
+  const db = await openDb()
+  const tx = db.transaction(['sessions', 'messages'], 'readwrite')
+  tx.objectStore('sessions').delete(sessionId)
+  const index = tx.objectStore('messages').index('session')
+  const keys = await request(index.getAllKeys(sessionId))
+  const messages = tx.objectStore('messages')
+  keys.forEach(key => messages.delete(key))
+  await done(tx)
+}
+
+export async function exportSession(session) {
+  const messages = await loadMessages(session.id)
+  const { name, startedAt, endedAt, messageCount, depth } = session
+  const lines = [JSON.stringify({ havflow: 1, name, startedAt, endedAt, messageCount, depth })]
+  messages.forEach(message => lines.push(JSON.stringify(message)))
+  return lines.join('\n') + '\n'
+}
+
+export async function importSession(text, fallbackName) {
+  let header = null
+  const messages = []
+  text.split('\n').forEach((line, i) => {
+    if (!line.trim()) return
+    const entry = JSON.parse(line)
+    if (entry.havflow) header = entry
+    else if (typeof entry.data === 'string' && typeof entry.ts === 'number') messages.push(entry)
+    else throw new Error(`Line ${i + 1} is not a recorded message`)
+  })
+  if (messages.length === 0) throw new Error('No recorded messages found')
+
+  const session = await createSession(header?.name || fallbackName, header?.startedAt || messages[0].ts, header?.depth)
+  for (let i = 0; i < messages.length; i += IMPORT_CHUNK) {
+    await appendMessages(session, messages.slice(i, i + IMPORT_CHUNK))
+  }
+  return session
+}
+
+// Start a named session and buffer raw messages into it until stop() is called
+export async function startRecording(name, depth) {
+  const session = await createSession(name, Date.now(), depth)
+  let buffer = []
+  let writing = Promise.resolve()
+
+  const flush = () => {
+    if (buffer.length === 0) return writing
+    const batch = buffer
+    buffer = []
+    writing = writing
+      .then(() => appendMessages(session, batch))
+      .catch(e => console.error('[HAVFLOW] Failed to write recording:', e))
+    return writing
+  }
+  const timer = setInterval(flush, FLUSH_INTERVAL)
+
+  return {
+    session,
+    record(data, ts) {
+      buffer.push({ ts, data })
+    },
+    count() {
+      return session.messageCount + buffer.length
+    },
+    async stop() {
+      clearInterval(timer)
+      await flush()
+      return session
+    },
+  }
+}
@@ -0,0 +1,138 @@
+// Signal quality: whether imbalance predicts the mid price. Each sample takes the
+// imbalance under every model being compared from the same book state, and is paired
+// with the mid-price move over the following horizons, resolved by the first book state
+// at least that far ahead in receive time, so replays are judged on recorded time.
+// Pairs are tallied per model into a correlation and per-tier hit rates since the model
+// joined, and the latest are kept for a scatter plot. Tiers come from a classifier per
+// model fed at the sample rate.
+
+import { createRingBuffer } from './ringBuffer'
+import { createRollingWindows } from './rollingWindows'
+import { createPressureClassifier } from './pressure'
+
+export const SIGNAL_HORIZONS = [1000, 5000, 30000]
+// Samples are taken at most this often, so bursts of messages don't outweigh quiet spells
+const SAMPLE_INTERVAL = 100
+// Resolved pairs kept per horizon for the scatter plot
+const SCATTER_POINTS = 600
+
+const emptyTally = () => ({ count: 0, sx: 0, sy: 0, sxx: 0, syy: 0, sxy: 0, tiers: {} })
+
+function createModelTallies(horizons, pressure) {
+  return {
+    classifier: createPressureClassifier(pressure),
+    horizons: horizons.map(emptyTally),
+    points: horizons.map(() => createRingBuffer(SCATTER_POINTS)),
+  }
+}
+
+// Pearson correlation from running sums, or null while either side has no spread
+function correlation({ count, sx, sy, sxx, syy, sxy }) {
+  if (count < 2) return null
+  const vx = sxx / count - (sx / count) ** 2
+  const vy = syy / count - (sy / count) ** 2
+  if (vx <= 1e-12 || vy <= 1e-12) return null
+  return (sxy / count - (sx / count) * (sy / count)) / Math.sqrt(vx * vy)
+}
+
+// A tier's hits are moves in the direction it points; flat moves are neither
+function tierSummary(tier, { count, up, down, move }) {
+  const moved = up + down
+  return {
+    tier,
+    count,
+    up,
+    down,
+    hitRate: tier !== 0 && moved > 0 ? (tier > 0 ? up : down) / moved : null,
+    meanMove: move / count,
+  }
+}
+
+// pressure is the tier config, see pressure.js
+export function createSignalEvaluator(pressure, horizons = SIGNAL_HORIZONS) {
+  // { ts, mid, values: { [model]: { imbalance, tier } } } samples; one leaves a
+  // horizon's window once it can be resolved
+  const pending = createRollingWindows(horizons)
+  let lastSample = -Infinity
+  // model label -> { classifier, horizons: tallies, points: scatter rings }
+  const models = new Map()
+
+  function record(h, sample, move) {
+    Object.entries(sample.values).forEach(([model, { imbalance: x, tier }]) => {
+      const entry = models.get(model)
+      if (!entry) return
+      const tally = entry.horizons[h]
+      tally.count++
+      tally.sx += x
+      tally.sy += move
+      tally.sxx += x * x
+      tally.syy += move * move
+      tally.sxy += x * move
+      const tiers = tally.tiers[tier] ||= { count: 0, up: 0, down: 0, move: 0 }
+      tiers.count++
+      if (move > 0) tiers.up++
+      if (move < 0) tiers.down++
+      tiers.move += move
+      entry.points[h].push([x, move, tier])
+    })
+  }
+
+  // Fold in a book state: resolve the samples it is far enough ahead of, then, when a
+  // sample is due, take one from measure(), which returns { [model]: imbalance or null }.
+  // Moves are in bps of the sampled mid
+  function update(ts, mid, measure) {
+    if (!(mid > 0)) return
+    pending.expire(ts, (h, sample) => record(h, sample, ((mid - sample.mid) / sample.mid) * 10000))
+    if (ts - lastSample < SAMPLE_INTERVAL) return
+    const values = {}
+    Object.entries(measure()).forEach(([model, imbalance]) => {
+      if (imbalance === null) return
+      if (!models.has(model)) models.set(model, createModelTallies(horizons, pressure))
+      const { classifier } = models.get(model)
+      classifier.update(imbalance, ts)
+      values[model] = { imbalance, tier: classifier.tier }
+    })
+    pending.add({ ts, mid, values })
+    lastSample = ts
+  }
+
+  // Per model: per horizon pair count, correlation, tiers in ascending order, and the
+  // scatter points for withPoints
+  function summary(withPoints) {
+    return [...models].map(([model, entry]) => ({
+      model,
+      horizons: horizons.map((horizon, h) => ({
+        horizon,
+        count: entry.horizons[h].count,
+        correlation: correlation(entry.horizons[h]),
+        tiers: Object.entries(entry.horizons[h].tiers)
+          .map(([tier, tally]) => tierSummary(Number(tier), tally))
+          .sort((a, b) => a.tier - b.tier),
+        ...(model === withPoints && { points: entry.points[h].toArray() }),
+      })),
+    }))
+  }
+
+  // Drop unresolved samples, e.g. across a gap in the feed, keeping the tallies
+  function interrupt() {
+    pending.clear()
+    lastSample = -Infinity
+  }
+
+  // New tier config: only the per-tier tallies start over, correlations are kept
+  function setPressure(config) {
+    pressure = config
+    interrupt()
+    models.forEach(entry => {
+      entry.classifier = createPressureClassifier(config)
+      entry.horizons.forEach(tally => { tally.tiers = {} })
+    })
+  }
+
+  // Stop comparing a model and drop its tallies
+  function forget(model) {
+    models.delete(model)
+  }
+
+  return { update, summary, interrupt, setPressure, forget }
+}
@@ -0,0 +1,27 @@
+// Feed sources deliver raw Kraken v2 messages to the orderbook worker.
+//
+// create(handlers, options) returns
+//   { connect(), subscribe(symbols, depth), unsubscribe(symbols), setDepth(depth), send(payload), close() }
+// subscribe and unsubscribe cover both the book and trade channels, and add to or
+// remove from what the source already streams. Sources marked instruments: true also
+// send the instrument channel (pair precisions) on every open, ahead of any book
+// snapshot, and the worker holds books back for it; replays don't. setDepth
+// resubscribes every book at the new depth.
+//
+// handlers:
+//   onOpen()              a fresh stream is starting; every book must start over
+//   onMessage(data, ts)   one raw message string and its receive time
+//   onBatch(messages)     [{ data, ts }] to apply at once, e.g. after a replay seek
+//   onStatus({ state, attempt, nextRetryAt })
+//   onProgress(state)     replay position, replay source only
+//   onDepth(depth)        depth the session was recorded at, replay source only
+
+import { createKrakenSource } from './kraken'
+import { createSyntheticSource } from './synthetic'
+import { createReplaySource } from './replay'
+
+export const SOURCES = {
+  kraken: { label: 'Kraken live', create: createKrakenSource, instruments: true },
+  synthetic: { label: 'Synthetic', create: createSyntheticSource, instruments: true },
+  replay: { label: 'Replay', create: createReplaySource },
+}
@@ -0,0 +1,58 @@
+import { createConnection } from '../connection'
+
+// Overridable for development, e.g. VITE_KRAKEN_WS_URL=ws://localhost:8787 for `npm run mock`
+export const KRAKEN_WS_URL = import.meta.env.VITE_KRAKEN_WS_URL || 'wss://ws.kraken.com/v2'
+
+// Live Kraken WebSocket v2 feed (book, trade and instrument channels); resubscribes after every reconnect
+export function createKrakenSource(handlers, { url = KRAKEN_WS_URL } = {}) {
+  let connection = null
+  let symbols = []
+  let depth = 10
+
+  const channelMessages = (method, list) => [
+    { method, params: { channel: 'book', symbol: list, depth } },
+    { method, params: { channel: 'trade', symbol: list } },
+  ]
+
+  return {
+    connect() {
+      connection = createConnection({
+        url,
+        onStatus: handlers.onStatus,
+        onOpen: (send) => {
+          // Anything from the previous socket is stale; books start over
+          handlers.onOpen()
+          // Instrument first, so pair precisions are known before the first book snapshot
+          send({ method: 'subscribe', params: { channel: 'instrument' } })
+          if (symbols.length > 0) channelMessages('subscribe', symbols).forEach(message => send(message))
+        },
+        onMessage: (event) => handlers.onMessage(event.data, Date.now()),
+      })
+    },
+    subscribe(list, nextDepth) {
+      const added = list.filter(symbol => !symbols.includes(symbol))
+      depth = nextDepth
+      symbols = [...symbols, ...added]
+      if (added.length > 0) channelMessages('subscribe', added).forEach(message => connection?.send(message))
+    },
+    // Kraken has no depth change in place: drop every book subscription at the old depth first
+    setDepth(nextDepth) {
+      if (nextDepth === depth) return
+      if (symbols.length > 0) connection?.send({ method: 'unsubscribe', params: { channel: 'book', symbol: symbols, depth } })
+      depth = nextDepth
+      if (symbols.length > 0) connection?.send({ method: 'subscribe', params: { channel: 'book', symbol: symbols, depth } })
+    },
+    unsubscribe(list) {
+      const removed = list.filter(symbol => symbols.includes(symbol))
+      symbols = symbols.filter(symbol => !removed.includes(symbol))
+      if (removed.length > 0) channelMessages('unsubscribe', removed).forEach(message => connection?.send(message))
+    },
+    send(payload) {
+      return connection?.send(payload) ?? false
+    },
+    close() {
+      connection?.close()
+      connection = null
+    },
+  }
+}
@@ -0,0 +1,55 @@
+import { loadMessages } from '../sessionStore'
+import { createReplayPlayer, recordedDepth } from '../replay'
+
+// Plays a recorded session; the recording decides what is in the feed, so
+// subscribe, unsubscribe, setDepth and send are no-ops. Books must be as deep as
+// the recorded ones: deeper books keep levels the feed drops without a delete, and
+// fail their checksums, so the recorded depth is reported before playback
+export function createReplaySource(handlers, { session }) {
+  let player = null
+  let closed = false
+
+  return {
+    get player() {
+      return player
+    },
+    async connect() {
+      handlers.onStatus({ state: 'Loading replay...' })
+      let messages
+      try {
+        messages = await loadMessages(session.id)
+      } catch (e) {
+        console.error('[HAVFLOW] Failed to load session:', e)
+        handlers.onStatus({ state: 'Replay failed' })
+        return
+      }
+      if (closed) return
+      if (messages.length === 0) {
+        handlers.onStatus({ state: 'Empty session' })
+        return
+      }
+      const depth = session.depth || recordedDepth(messages)
+      if (depth) handlers.onDepth?.(depth)
+      player = createReplayPlayer(messages, {
+        onMessage: handlers.onMessage,
+        // A seek restarts the stream from fresh books at the new position
+        onSeek: (batch) => {
+          handlers.onOpen()
+          handlers.onBatch(batch)
+        },
+        onProgress: handlers.onProgress,
+      })
+      handlers.onStatus({ state: 'Replay' })
+    },
+    subscribe() {},
+    unsubscribe() {},
+    setDepth() {},
+    send() {
+      return false
+    },
+    close() {
+      closed = true
+      player?.stop()
+    },
+  }
+}
@@ -0,0 +1,110 @@
+import { pairPrecision } from '../symbols'
+import { createSyntheticBook, BASE_PRICES } from './syntheticBook'
+
+// Book updates per second, per symbol
+const UPDATE_RATE = 20
+// Chance of a trade alongside each book update
+const TRADE_CHANCE = 0.15
+
+// Offline generator speaking the same book and trade protocol as Kraken, checksums included
+export function createSyntheticSource(handlers, { rate = UPDATE_RATE } = {}) {
+  const books = {}
+  let subscribed = []
+  const tradeSymbols = new Set()
+  let depth = 10
+  let timer = null
+  let heartbeat = null
+
+  const emit = (message) => handlers.onMessage(JSON.stringify(message), Date.now())
+
+  // Instrument channel message describing symbols at the precision their books use
+  const instruments = (type, symbols) => ({
+    channel: 'instrument',
+    type,
+    data: {
+      assets: [],
+      pairs: symbols.map(symbol => {
+        const [base, quote] = symbol.split('/')
+        const [pricePrecision, qtyPrecision] = pairPrecision(symbol)
+        return { symbol, base, quote, status: 'online', price_precision: pricePrecision, qty_precision: qtyPrecision }
+      }),
+    },
+  })
+
+  const start = (symbols) => {
+    symbols.forEach(symbol => {
+      books[symbol] = createSyntheticBook(symbol, {
+        depth,
+        precision: pairPrecision(symbol),
+        basePrice: BASE_PRICES[symbol] || 100,
+      })
+      emit(books[symbol].snapshot())
+    })
+  }
+
+  const stop = (symbols) => {
+    symbols.forEach(symbol => delete books[symbol])
+  }
+
+  return {
+    connect() {
+      handlers.onStatus({ state: 'Synthetic' })
+      handlers.onOpen()
+      emit(instruments('snapshot', subscribed))
+      start(subscribed)
+      timer = setInterval(() => {
+        Object.values(books).forEach(book => {
+          emit(book.step())
+          if (tradeSymbols.has(book.symbol) && Math.random() < TRADE_CHANCE) {
+            const { trade, update } = book.trade()
+            emit(trade)
+            emit(update)
+          }
+        })
+      }, 1000 / rate)
+      heartbeat = setInterval(() => emit({ channel: 'heartbeat' }), 1000)
+    },
+    subscribe(symbols, nextDepth) {
+      const added = symbols.filter(symbol => !subscribed.includes(symbol))
+      subscribed = [...subscribed, ...added]
+      depth = nextDepth
+      added.forEach(symbol => tradeSymbols.add(symbol))
+      if (timer && added.length > 0) {
+        emit(instruments('update', added))
+        start(added)
+      }
+    },
+    // Fresh books at the new depth, each starting with a snapshot
+    setDepth(nextDepth) {
+      depth = nextDepth
+      if (timer) start(subscribed)
+    },
+    unsubscribe(symbols) {
+      subscribed = subscribed.filter(symbol => !symbols.includes(symbol))
+      symbols.forEach(symbol => tradeSymbols.delete(symbol))
+      stop(symbols)
+    },
+    // Resync requests from the worker: unsubscribe drops a book, subscribe starts it over
+    send({ method, params }) {
+      if (params?.channel === 'trade') {
+        params.symbol.forEach(symbol => {
+          if (method === 'subscribe') tradeSymbols.add(symbol)
+          if (method === 'unsubscribe') tradeSymbols.delete(symbol)
+        })
+        return true
+      }
+      if (params?.channel !== 'book') return false
+      if (method === 'unsubscribe') stop(params.symbol)
+      if (method === 'subscribe') {
+        depth = params.depth || depth
+        start(params.symbol)
+      }
+      return true
+    },
+    close() {
+      clearInterval(timer)
+      clearInterval(heartbeat)
+      timer = null
+    },
+  }
+}
@@ -0,0 +1,143 @@
+// Random-walk L2 book that produces Kraken v2 book messages with valid checksums,
+// and trade messages for aggressive orders against it.
+// Prices are kept as integer ticks so they format exactly at the pair's precision.
+
+// Explicit extension: the Node mock server loads this module too
+import { bookChecksum } from '../checksum.js'
+
+// Rough notional per level, in quote currency
+const LEVEL_NOTIONAL = 20000
+
+// Starting prices, so the generated books look like the real pairs
+export const BASE_PRICES = {
+  'BTC/USD': 60000,
+  'ETH/USD': 3000,
+  'SOL/USD': 150,
+  'XRP/USD': 0.5,
+  'ADA/USD': 0.35,
+}
+
+export function createSyntheticBook(symbol, { depth, precision, basePrice, random = Math.random }) {
+  const [pricePrecision, qtyPrecision] = precision
+  const scale = 10 ** pricePrecision
+  const sides = { bids: new Map(), asks: new Map() }
+  let tradeId = 0
+
+  const randomQty = (factor = 1) => {
+    const qty = (LEVEL_NOTIONAL / basePrice) * (0.1 + random() * 1.9) * factor
+    return Math.max(Number(qty.toFixed(qtyPrecision)), 10 ** -qtyPrecision)
+  }
+  const gap = () => 1 + Math.floor(random() * 3)
+
+  // Levels best first
+  const sorted = (side) => [...sides[side].entries()].sort(side === 'bids' ? (a, b) => b[0] - a[0] : (a, b) => a[0] - b[0])
+  const levels = (side) => sorted(side).map(([ticks, qty]) => ({ price: ticks / scale, qty }))
+  const best = (side) => sorted(side)[0]?.[0]
+  const worst = (side) => sorted(side).at(-1)?.[0]
+
+  // Drop whatever falls outside the subscribed depth, as the client does
+  const truncate = (side) => {
+    sorted(side).slice(depth).forEach(([ticks]) => sides[side].delete(ticks))
+  }
+
+  const checksum = () => bookChecksum(levels('bids'), levels('asks'), pricePrecision, qtyPrecision)
+
+  function init() {
+    const mid = Math.round(basePrice * scale)
+    let bid = mid - 1
+    let ask = mid + 1
+    for (let i = 0; i < depth; i++) {
+      sides.bids.set(bid, randomQty())
+      sides.asks.set(ask, randomQty())
+      bid -= gap()
+      ask += gap()
+    }
+  }
+
+  function snapshot() {
+    return {
+      channel: 'book',
+      type: 'snapshot',
+      data: [{ symbol, bids: levels('bids'), asks: levels('asks'), checksum: checksum() }],
+    }
+  }
+
+  // Apply level changes ({ bids: [[ticks, qty]], asks: [...] }, qty 0 removes) and
+  // return the update message; checksumOffset lets a scenario corrupt the checksum
+  function update(changes, { checksumOffset = 0 } = {}) {
+    const data = { symbol, bids: [], asks: [] }
+    Object.entries(changes).forEach(([side, entries]) => {
+      entries.forEach(([ticks, qty]) => {
+        if (qty > 0) sides[side].set(ticks, qty)
+        else sides[side].delete(ticks)
+        data[side].push({ price: ticks / scale, qty })
+      })
+      truncate(side)
+    })
+    data.checksum = (checksum() + checksumOffset) >>> 0
+    data.timestamp = new Date().toISOString()
+    return { channel: 'book', type: 'update', data: [data] }
+  }
+
+  // A level one gap beyond the current worst price
+  const deeper = (side) => {
+    const edge = worst(side) ?? best(side === 'bids' ? 'asks' : 'bids')
+    return side === 'bids' ? edge - gap() : edge + gap()
+  }
+
+  // One random book event: resize, cancel, improve or take out the touch
+  function step() {
+    const side = random() < 0.5 ? 'bids' : 'asks'
+    const top = sorted(side).slice(0, 10)
+    const roll = random()
+
+    if (roll < 0.55 && top.length > 0) {
+      const [ticks, qty] = top[Math.floor(random() * top.length)]
+      const resized = Number((qty * (0.5 + random())).toFixed(qtyPrecision))
+      return update({ [side]: [[ticks, resized || randomQty()]] })
+    }
+    if (roll < 0.75 && top.length > 1) {
+      const [ticks] = top[1 + Math.floor(random() * (top.length - 1))]
+      return update({ [side]: [[ticks, 0], [deeper(side), randomQty()]] })
+    }
+    if (roll < 0.88 && best('asks') - best('bids') > 1) {
+      const ticks = side === 'bids' ? best('bids') + 1 : best('asks') - 1
+      return update({ [side]: [[ticks, randomQty(0.5)]] })
+    }
+    const ticks = best(side)
+    return update({ [side]: [[ticks, 0], [deeper(side), randomQty()]] })
+  }
+
+  // A market order taking some or all of the best level on one side. Returns the
+  // trade message and the book update it causes, in the order Kraken sends them.
+  function trade() {
+    const side = random() < 0.5 ? 'buy' : 'sell'
+    const bookSide = side === 'buy' ? 'asks' : 'bids'
+    const ticks = best(bookSide)
+    const resting = sides[bookSide].get(ticks)
+    const fraction = 0.05 + random()
+    const qty = fraction >= 1 ? resting : Math.max(Number((resting * fraction).toFixed(qtyPrecision)), 10 ** -qtyPrecision)
+    const left = Number((resting - qty).toFixed(qtyPrecision))
+    const changes = left > 0 ? [[ticks, left]] : [[ticks, 0], [deeper(bookSide), randomQty()]]
+
+    return {
+      trade: {
+        channel: 'trade',
+        type: 'update',
+        data: [{
+          symbol,
+          side,
+          price: ticks / scale,
+          qty: Math.min(qty, resting),
+          ord_type: 'market',
+          trade_id: ++tradeId,
+          timestamp: new Date().toISOString(),
+        }],
+      },
+      update: update({ [bookSide]: changes }),
+    }
+  }
+
+  init()
+  return { symbol, scale, snapshot, update, step, trade, levels, best, worst, deeper, randomQty }
+}
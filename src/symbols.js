@@ -0,0 +1,56 @@
+// Tradeable pairs from Kraken's REST AssetPairs endpoint, and the watchlist of
+// pairs the app subscribes to. Runs on the main thread: the SDK's REST client
+// needs `window` for fetch.
+
+import initWasm, { WasmRestClient } from '../wasm/kraken_wasm.js'
+import { SYMBOLS, SYMBOL_PRECISION } from './config'
+
+// Overridable for development, e.g. VITE_KRAKEN_REST_URL=http://localhost:8787 for `npm run mock`
+export const KRAKEN_REST_URL = import.meta.env.VITE_KRAKEN_REST_URL || null
+
+const WATCHLIST_STORAGE_KEY = 'havflow.watchlist'
+
+// REST still uses Kraken's legacy asset codes; WebSocket v2 uses the common ones
+const ASSET_ALIASES = { XBT: 'BTC', XDG: 'DOGE' }
+
+// symbol -> { symbol, base, quote, precision: [price, qty] } once discovered
+const pairs = new Map()
+
+function v2Symbol(wsname) {
+  return wsname.split('/').map(asset => ASSET_ALIASES[asset] || asset).join('/')
+}
+
+export async function discoverPairs() {
+  await initWasm()
+  const client = KRAKEN_REST_URL ? WasmRestClient.with_base_url(KRAKEN_REST_URL) : new WasmRestClient()
+  try {
+    const result = await client.get_asset_pairs()
+    Object.values(result || {}).forEach(info => {
+      if (!info.wsname || (info.status && info.status !== 'online')) return
+      const symbol = v2Symbol(info.wsname)
+      const [base, quote] = symbol.split('/')
+      pairs.set(symbol, { symbol, base, quote, precision: [info.pair_decimals, info.lot_decimals] })
+    })
+    return [...pairs.values()].sort((a, b) => a.symbol.localeCompare(b.symbol))
+  } finally {
+    client.free()
+  }
+}
+
+// Price and quantity decimals for a pair, from discovery when it has run. Only a first
+// guess: the worker applies the instrument channel's precision before the first snapshot
+export function pairPrecision(symbol) {
+  return pairs.get(symbol)?.precision || SYMBOL_PRECISION[symbol] || [2, 8]
+}
+
+export function loadWatchlist() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(WATCHLIST_STORAGE_KEY))
+    if (Array.isArray(saved) && saved.length > 0) return saved
+  } catch (e) {}
+  return SYMBOLS
+}
+
+export function saveWatchlist(symbols) {
+  localStorage.setItem(WATCHLIST_STORAGE_KEY, JSON.stringify(symbols))
+}
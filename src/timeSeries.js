@@ -0,0 +1,81 @@
+// Imbalance and CVD history against receive time. Samples are folded into one-second
+// base buckets; charts re-bucket those into the window and resolution on screen.
+
+export const BASE_BUCKET = 1000
+// One hour of base buckets
+export const BASE_BUCKETS = 3600
+
+export const HISTORY_WINDOWS = [
+  { label: '1m', ms: 60000 },
+  { label: '5m', ms: 300000 },
+  { label: '15m', ms: 900000 },
+  { label: '1h', ms: 3600000 },
+]
+
+export const BUCKET_SIZES = [
+  { label: '1s', ms: 1000 },
+  { label: '5s', ms: 5000 },
+  { label: '15s', ms: 15000 },
+  { label: '30s', ms: 30000 },
+  { label: '1m', ms: 60000 },
+]
+
+// Keeps the charts readable and the frames small
+export const MIN_BUCKETS = 10
+export const MAX_BUCKETS = 300
+
+export function bucketSizesFor(windowMs) {
+  return BUCKET_SIZES.filter(({ ms }) => windowMs / ms >= MIN_BUCKETS && windowMs / ms <= MAX_BUCKETS)
+}
+
+// Fold one sample into a ring buffer of base buckets
+export function addSample(buffer, ts, imbalance, cvd) {
+  const t = Math.floor(ts / BASE_BUCKET) * BASE_BUCKET
+  const current = buffer.last()
+  if (current && current.t === t) {
+    current.last = imbalance
+    current.sum += imbalance
+    current.count++
+    current.min = Math.min(current.min, imbalance)
+    current.max = Math.max(current.max, imbalance)
+    current.cvd = cvd
+  } else if (!current || t > current.t) {
+    buffer.push({ t, last: imbalance, sum: imbalance, count: 1, min: imbalance, max: imbalance, cvd })
+  }
+}
+
+// Re-bucket base buckets (oldest first) into window / bucket slots ending at `end`.
+// A slot with no samples carries the previous value forward, since the book didn't
+// change; slots before the first sample have last === null.
+export function bucketSeries(base, { end, window, bucket }) {
+  const count = Math.round(window / bucket)
+  const start = Math.floor(end / bucket) * bucket - (count - 1) * bucket
+  const slots = Array.from({ length: count }, (_, i) => ({
+    t: start + i * bucket, last: null, mean: null, min: null, max: null, cvd: null, count: 0, sum: 0,
+  }))
+
+  let carry = null
+  base.forEach(b => {
+    if (b.t < start) {
+      carry = b
+      return
+    }
+    const slot = slots[Math.floor((b.t - start) / bucket)]
+    if (!slot) return
+    slot.last = b.last
+    slot.cvd = b.cvd
+    slot.min = slot.count > 0 ? Math.min(slot.min, b.min) : b.min
+    slot.max = slot.count > 0 ? Math.max(slot.max, b.max) : b.max
+    slot.sum += b.sum
+    slot.count += b.count
+  })
+
+  return slots.map(({ sum, ...slot }) => {
+    if (slot.count > 0) {
+      carry = slot
+      return { ...slot, mean: sum / slot.count }
+    }
+    if (!carry) return slot
+    return { ...slot, last: carry.last, mean: carry.last, min: carry.last, max: carry.last, cvd: carry.cvd }
+  })
+}
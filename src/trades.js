@@ -0,0 +1,32 @@
+// Trade tape and cumulative volume delta for one symbol. Kraken's `side` on a
+// trade is the taker's, so it is the aggressor: buys lift the ask, sells hit the bid.
+
+// Trades kept for the tape
+export const TAPE_LENGTH = 50
+
+export function createTradeTracker() {
+  let tape = []
+  let cvd = 0
+
+  // Fold in the trades of one message. The snapshot that follows a subscribe
+  // replays trades from before we were listening, so they go on the tape only.
+  function add(trades, isSnapshot = false) {
+    trades.forEach(({ side, price, qty, timestamp, trade_id }) => {
+      if (!isSnapshot) cvd += side === 'buy' ? qty : -qty
+      tape.unshift({ id: trade_id, side, price, qty, time: Date.parse(timestamp) || null })
+    })
+    if (tape.length > TAPE_LENGTH) tape = tape.slice(0, TAPE_LENGTH)
+  }
+
+  function reset() {
+    tape = []
+    cvd = 0
+  }
+
+  return {
+    add,
+    reset,
+    get cvd() { return cvd },
+    get tape() { return tape },
+  }
+}
@@ -5,5 +5,6 @@ import topLevelAwait from 'vite-plugin-top-level-await'
 
 export default defineConfig({
   plugins: [react(), wasm(), topLevelAwait()],
-  optimizeDeps: { exclude: ['kraken-wasm'] }
+  optimizeDeps: { exclude: ['kraken-wasm'] },
+  worker: { format: 'es' }
 })